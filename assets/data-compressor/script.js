@@ -1,5 +1,12 @@
 {
 
+// The visualisation runs in a Web Worker so that typing doesn't wait
+// for the encoding. This same file is the worker's script.
+const isWorker = typeof importScripts === "function";
+if (isWorker && typeof SMVC === "undefined") {
+  importScripts("smvc.js");
+}
+
 // String -> Map Char Int
 function countFreq(str) {
   const f = (map, char) => {
@@ -49,6 +56,8 @@ function buildCodes(htree) {
   const codes = new Map();
   const stack = []
   if (htree == undefined) return codes;
+  // a single symbol still needs a bit per occurrence.
+  if (htree.leaf !== undefined) return codes.set(htree.leaf, "0");
   stack.push([htree, null]);
   while (stack.length > 0) {
     const [tree, prefix] = stack.pop();
@@ -63,13 +72,309 @@ function buildCodes(htree) {
   return codes;
 }
 
-// String -> [String]
-function encode(string) {
-  const codes = buildCodes(buildHTree(countFreq(string)));
+// Codes that can be rebuilt from their lengths alone. Symbols are
+// ordered by code length and then by symbol, and each code is the
+// previous one plus one, shifted left when the length grows.
+//
+// Map Char Int -> Map Char String
+function canonicalCodes(lengths) {
+  const symbols = [...lengths.entries()].sort(([lc, ll], [rc, rl]) =>
+    ll - rl || lc.charCodeAt(0) - rc.charCodeAt(0)
+  );
+  const codes = new Map();
+  let code = 0n; // codes can be longer than 32 bits
+  let length = 0;
+  for (const [ char, charLength ] of symbols) {
+    code <<= BigInt(charLength - length);
+    length = charLength;
+    codes.set(char, code.toString(2).padStart(length, "0"));
+    code++;
+  }
+  return codes;
+}
+
+// Map Char String -> Map Char Int
+function codeLengths(codes) {
+  return new Map([...codes.entries()].map(([char, code]) => [char, code.length]));
+}
+
+// Optimal code lengths where no code is longer than `maxLength`,
+// found with the package-merge algorithm.
+//
+// (Map Char Int, Int) -> Map Char Int
+function limitedLengths(freqs, maxLength) {
+  const symbols = [...freqs.entries()]
+    .map(([ char, weight ]) => ({ weight, chars: [char] }))
+    .sort((l, r) => l.weight - r.weight);
+  if (symbols.length <= 1) {
+    return new Map(symbols.map(({ chars }) => [chars[0], 1]));
+  }
+  if (2 ** maxLength < symbols.length) {
+    throw new Error(`Codes of up to ${maxLength} bits can't represent ${symbols.length} symbols`);
+  }
+
+  let items = symbols;
+  for (let level = 1; level < maxLength; level++) {
+    const packages = [];
+    for (let i = 0; i + 1 < items.length; i += 2) {
+      packages.push({
+        weight: items[i].weight + items[i + 1].weight,
+        chars: items[i].chars.concat(items[i + 1].chars)
+      });
+    }
+    items = symbols.concat(packages).sort((l, r) => l.weight - r.weight);
+  }
+
+  // each time a symbol is picked its code grows by one bit.
+  const lengths = new Map();
+  for (const { chars } of items.slice(0, 2 * (symbols.length - 1))) {
+    for (const char of chars) {
+      lengths.set(char, (lengths.get(char) || 0) + 1);
+    }
+  }
+  return lengths;
+}
+
+// CodeKind
+//    = "standard"    -- read from the Huffman tree
+//    | "canonical"   -- the lengths of the tree's codes, assigned canonically
+//    | "limited"     -- canonical, with lengths of up to a maximum
+//
+// (Map Char Int, CodeKind, Int) -> Map Char String
+function makeCodes(freqs, kind, maxLength) {
+  switch (kind) {
+    case "standard":
+      return buildCodes(buildHTree(freqs));
+    case "canonical":
+      return canonicalCodes(codeLengths(buildCodes(buildHTree(freqs))));
+    case "limited":
+      return canonicalCodes(limitedLengths(freqs, maxLength));
+    default:
+      throw new Error("Unknown kind of code: " + kind);
+  }
+}
+
+// The shortest maximum length that can represent all symbols.
+// Map Char Int -> Int
+function minMaxLength(freqs) {
+  return Math.max(1, Math.ceil(Math.log2(freqs.size)));
+}
+
+const defaultMaxLength = 15;
+
+// (String, CodeKind, Int) -> [String]
+function encode(string, kind = "standard", maxLength = defaultMaxLength) {
+  const codes = makeCodes(countFreq(string), kind, maxLength);
   return string.split("").map(char => codes.get(char));
 }
 
-const { init, h, text } = SMVC;
+// Binary format
+//
+//   symbol width : 1 byte  -- 8 or 16 bits per symbol in the table
+//   table format : 1 byte  -- 0 for a tree, 1 for code lengths
+//   data length  : 4 bytes -- number of bits of encoded data, big-endian
+//   table        : bits    -- absent when there is no data
+//   data         : bits    -- the code of each character
+//
+// A tree is written in pre-order: 0 then both children for a fork,
+// 1 then the symbol for a leaf.
+//
+// Code lengths are for canonical codes. They are written as the longest
+// length in 6 bits, then how many symbols have each length from 1 up to the
+// longest, then the symbols in canonical order. Counts are Elias gamma
+// coded, plus one, as most are small.
+//
+// Bits are written from the most significant bit of each byte, and the
+// last byte is padded with zeros.
+const tableFormat = { tree: 0, lengths: 1 };
+
+// () -> { write : (Int, Int) -> (), writeGamma : Int -> (), bytes : () -> Uint8Array }
+function bitWriter() {
+  const bytes = [];
+  let length = 0; // in bits
+
+  // write the `count` lowest bits of `value`
+  function write(value, count) {
+    for (let i = count - 1; i >= 0; i--) {
+      if (length % 8 === 0) {
+        bytes.push(0);
+      }
+      const bit = (value >>> i) & 1;
+      bytes[bytes.length - 1] |= bit << (7 - length % 8);
+      length++;
+    }
+  }
+
+  // a positive number as its length in bits minus one zeros, then its bits.
+  function writeGamma(value) {
+    const bits = Math.floor(Math.log2(value)) + 1;
+    write(0, bits - 1);
+    write(value, bits);
+  }
+
+  return { write, writeGamma, bytes: () => Uint8Array.from(bytes) };
+}
+
+// Uint8Array -> { read : Int -> Int, readGamma : () -> Int }
+function bitReader(bytes) {
+  let position = 0; // in bits
+
+  function read(count) {
+    let value = 0;
+    for (let i = 0; i < count; i++) {
+      if (position >= bytes.length * 8) {
+        throw new Error("Unexpected end of encoded data");
+      }
+      const bit = (bytes[position >>> 3] >>> (7 - position % 8)) & 1;
+      value = (value << 1) | bit;
+      position++;
+    }
+    return value >>> 0;
+  }
+
+  function readGamma() {
+    let zeros = 0;
+    while (read(1) === 0) {
+      zeros++;
+    }
+    return zeros === 0 ? 1 : ((1 << zeros) | read(zeros)) >>> 0;
+  }
+
+  return { read, readGamma };
+}
+
+// (String, CodeKind, Int) -> Uint8Array
+function encodeBytes(string, kind = "standard", maxLength = defaultMaxLength) {
+  const freqs = countFreq(string);
+  const htree = buildHTree(freqs);
+  const codes = kind === "standard" ? buildCodes(htree) : makeCodes(freqs, kind, maxLength);
+  const dataBits = string.split("").reduce((acc, char) => acc + codes.get(char).length, 0);
+  const width = [...codes.keys()].some(char => char.charCodeAt(0) > 0xff) ? 16 : 8;
+
+  const out = bitWriter();
+  out.write(width, 8);
+  out.write(kind === "standard" ? tableFormat.tree : tableFormat.lengths, 8);
+  out.write(dataBits, 32);
+
+  const writeTree = tree => {
+    if (tree.leaf !== undefined) {
+      out.write(1, 1);
+      out.write(tree.leaf.charCodeAt(0), width);
+    } else {
+      out.write(0, 1);
+      writeTree(tree.fork.left);
+      writeTree(tree.fork.right);
+    }
+  };
+
+  const writeLengths = () => {
+    // canonical order
+    const symbols = [...codes.entries()].sort(([lc, l], [rc, r]) =>
+      l.length - r.length || lc.charCodeAt(0) - rc.charCodeAt(0)
+    );
+    const longest = symbols[symbols.length - 1][1].length;
+    out.write(longest, 6);
+    for (let length = 1; length <= longest; length++) {
+      out.writeGamma(symbols.filter(([_, code]) => code.length === length).length + 1);
+    }
+    for (const [ char ] of symbols) {
+      out.write(char.charCodeAt(0), width);
+    }
+  };
+
+  if (dataBits > 0) {
+    kind === "standard" ? writeTree(htree) : writeLengths();
+  }
+
+  for (const char of string.split("")) {
+    for (const bit of codes.get(char)) {
+      out.write(bit === "1" ? 1 : 0, 1);
+    }
+  }
+  return out.bytes();
+}
+
+// Uint8Array -> String
+function decodeBytes(bytes) {
+  const input = bitReader(bytes);
+  const width = input.read(8);
+  if (width !== 8 && width !== 16) {
+    throw new Error("Invalid symbol width: " + width);
+  }
+  const format = input.read(8);
+  if (format !== tableFormat.tree && format !== tableFormat.lengths) {
+    throw new Error("Invalid table format: " + format);
+  }
+  const dataBits = input.read(32);
+  if (dataBits === 0) {
+    return "";
+  }
+
+  const readTree = () => input.read(1) === 1
+    ? { leaf: String.fromCharCode(input.read(width)) }
+    : { fork: { left: readTree(), right: readTree() } };
+
+  const readLengths = () => {
+    const longest = input.read(6);
+    const counts = [];
+    for (let length = 1; length <= longest; length++) {
+      counts.push(input.readGamma() - 1);
+    }
+    const lengths = new Map();
+    counts.forEach((count, ix) => {
+      for (let i = 0; i < count; i++) {
+        lengths.set(String.fromCharCode(input.read(width)), ix + 1);
+      }
+    });
+    return codeTree(canonicalCodes(lengths));
+  };
+
+  const htree = format === tableFormat.tree ? readTree() : readLengths();
+
+  const chars = [];
+  if (htree.leaf !== undefined) {
+    for (let i = 0; i < dataBits; i++) {
+      input.read(1);
+      chars.push(htree.leaf);
+    }
+    return chars.join("");
+  }
+
+  let read = 0;
+  while (read < dataBits) {
+    let tree = htree;
+    while (tree.leaf === undefined) {
+      tree = input.read(1) === 0 ? tree.fork.left : tree.fork.right;
+      read++;
+      if (tree === undefined) {
+        throw new Error("Invalid code in encoded data");
+      }
+    }
+    chars.push(tree.leaf);
+  }
+  return chars.join("");
+}
+
+// The tree with the given codes. Forks may miss a side.
+// Map Char String -> HTree
+function codeTree(codes) {
+  const root = { fork: {} };
+  for (const [ char, code ] of codes.entries()) {
+    let tree = root;
+    code.split("").forEach((bit, ix) => {
+      const side = bit === "0" ? "left" : "right";
+      if (ix === code.length - 1) {
+        tree.fork[side] = { leaf: char };
+      } else {
+        tree.fork[side] = tree.fork[side] || { fork: {} };
+        tree = tree.fork[side];
+      }
+    });
+  }
+  return root;
+}
+
+const { serve, defineElement, h, text, lazy } = SMVC;
 
 function update(state, msg) {
   const action = Object.keys(msg)[0];
@@ -78,6 +383,12 @@ function update(state, msg) {
       return { ...state, content :  msg.setContent };
     case "setHighlighted":
       return { ...state, highlighted :  msg.setHighlighted };
+    case "setCodeKind":
+      return { ...state, codeKind :  msg.setCodeKind };
+    case "setMaxLength": {
+      const maxLength = parseInt(msg.setMaxLength, 10);
+      return isNaN(maxLength) ? state : { ...state, maxLength };
+    }
   }
 }
 
@@ -94,15 +405,124 @@ function charName(char) {
     : char;
 }
 
+function viewContentChar(char, code, isHighlighted) {
+  return h("span",
+    { class: { "h-code": true, highlighted: isHighlighted },
+      onMouseOver: () => ({ setHighlighted: char })
+    },
+    [ text(char)
+    , h("div", { class: "h-code-char" }, [ text(code) ])
+    ]
+  );
+}
+
+function viewEncodedChar(offset, code, char, isHighlighted) {
+  const withSpaces = code.split("").flatMap((bit, ix) => {
+    const isByteBoundary = (ix + offset) % 8 === 0;
+    return isByteBoundary ? (" " + bit) : bit;
+  }).join("");
+  return h(
+    "span",
+    { class: { "h-code": true, highlighted: isHighlighted },
+      onMouseOver: () => ({ setHighlighted: char }),
+    },
+    [ text(withSpaces)
+    ]
+  );
+}
+
+function viewEditor(content) {
+  return h(
+    "textarea",
+    { style: {
+        display: "block",
+        width: "100%",
+        height: "8em",
+      },
+      onInput : { decoder: ["target", "value"], handler: value => ({ setContent: value }) }
+    },
+    // the initial text only, as a `value` would be controlled.
+    [ text(content) ]
+  );
+}
+
+function viewCodeOptions(codeKind, maxLength, minLength) {
+  const kinds = [ ["standard", "Standard"], ["canonical", "Canonical"], ["limited", "Length-limited"] ];
+  return h("div", {}, [
+    h("label", {}, [
+      text("Codes "),
+      h("select",
+        { value: codeKind,
+          onChange: { decoder: ["target", "value"], handler: value => ({ setCodeKind: value }) }
+        },
+        kinds.map(([ kind, name ]) => h("option", { value: kind }, [ text(name) ]))
+      ),
+    ]),
+    codeKind === "limited"
+      ? h("label", {}, [
+          text(" up to "),
+          h("input",
+            { type: "number",
+              min: minLength,
+              max: 32,
+              value: maxLength,
+              style: { width: "4em" },
+              onChange: { decoder: ["target", "value"], handler: value => ({ setMaxLength: value }) }
+            },
+            []
+          ),
+          text(" bits"),
+        ])
+      : text(""),
+  ]);
+}
+
+function viewSizes(content, codeKind, maxLength) {
+  const codes = makeCodes(countFreq(content), codeKind, maxLength);
+  const outputBytes = encodeBytes(content, codeKind, maxLength).length;
+  const encodedBits = content.split("").reduce((acc, char) => acc + codes.get(char).length, 0);
+  const headerSize = outputBytes - Math.ceil(encodedBits / 8);
+  const originalBytes = stringBytes(content);
+  const compressionPercentage =
+    originalBytes == 0
+    ? 0
+    : Math.floor((100 * (1 - (outputBytes / originalBytes))));
+  const longestCode = [...codes.values()].reduce((acc, code) => Math.max(acc, code.length), 0);
+
+  return h("table",{}, [
+    h("tr", {}, [
+      h("td",{}, [text("Original size")]),
+      h("td",{}, [text(`${originalBytes} bytes`) ])
+    ]),
+    h("tr", {}, [
+      h("td",{}, [text("Encoded size")]),
+      h("td",{}, [text(`${outputBytes} bytes`) ])
+    ]),
+    h("tr", {}, [
+      h("td",{}, [text("Of which header")]),
+      h("td",{}, [text(`${headerSize} bytes`) ])
+    ]),
+    h("tr", {}, [
+      h("td",{}, [text("Longest code")]),
+      h("td",{}, [text(`${longestCode} bits`) ])
+    ]),
+    h("tr", {}, [
+      h("td",{}, [text("Compression")]),
+      h("td",{ style: { fontWeight: "bold" } }, [text(`${compressionPercentage}%`) ])
+    ]),
+  ]);
+}
 
 function view(state) {
   const freqs = countFreq(state.content);
-  const codes = buildCodes(buildHTree(freqs));
+  // limits too short for the number of symbols are raised
+  const maxLength = Math.min(32, Math.max(state.maxLength, minMaxLength(freqs)));
+  const codes = makeCodes(freqs, state.codeKind, maxLength);
 
   // Map Code Char
   const codeChar = [...codes.entries()].reduce((acc, x) => acc.set(x[1], x[0]), new Map())
 
-  const encoded = encode(state.content);
+  const encoded = state.content.split("").map(char => codes.get(char));
   const encodedWithDetails = encoded.reduce(
     ({ offset, acc }, code) => {
       const char = codeChar.get(code);
@@ -112,14 +532,6 @@ function view(state) {
     { offset: 0, acc: [] }
   ).acc;
 
-  const encodedBytes = Math.ceil(encoded.map(v => v.length).reduce((x,y) => x + y, 0) / 8);
-  const compressedBytes = encodedBytes;
-  const originalBytes = stringBytes(state.content);
-  const compressionPercentage =
-    originalBytes == 0
-    ? 0
-    : Math.floor((100 * (1 - (compressedBytes / originalBytes))));
-
   const histogram = [...codes.entries()]
     .map(x => {
       const [char, code] = x;
@@ -135,69 +547,34 @@ function view(state) {
     h("label", {}, [ text("Write your content") ]),
     h("div", { class: "columns" }, [
       h("div", { class: "column" }, [
-        h(
-          "textarea",
-          { style: `
-              display: block;
-              width: 100%;
-              height: 8em;`,
-            value: state.content,
-            onInput : e => ({ setContent: e.target.value })
-          },
-          []
-        ),
+        // rendered only once and not controlled, as the content that
+        // comes back from the worker can be behind what was typed.
+        lazy(viewEditor, initialState.content),
       ]),
       h("div", { class: "column" }, [
-        h("table",{}, [
-          h("tr", {}, [
-            h("td",{}, [text("Original size")]),
-            h("td",{}, [text(`${originalBytes} bytes`) ])
-          ]),
-          h("tr", {}, [
-            h("td",{}, [text("Encoded size")]),
-            h("td",{}, [text(`${encodedBytes} bytes`) ])
-          ]),
-          h("tr", {}, [
-            h("td",{}, [text("Compression")]),
-            h("td",{ style: "font-weight: bold" }, [text(`${compressionPercentage}%`) ])
-          ]),
-        ]),
+        viewCodeOptions(state.codeKind, maxLength, minMaxLength(freqs)),
+        // only encoded again when the content or the codes change
+        lazy(viewSizes, state.content, state.codeKind, maxLength),
       ]),
     ]),
     h("div", { onMouseLeave: () => ({ setHighlighted: null }) }, [
       h("p", {}, [ text("Content:")]),
       h("pre", { class: "h-content" },
         state.content.split("").map(char =>
-          h("span",
-            { class: "h-code " + (state.highlighted === char ? "highlighted" : ""),
-              onMouseOver: () => ({ setHighlighted: char })
-            },
-            [ text(char)
-            , h("div", { class: "h-code-char" }, [ text(codes.get(char)) ])
-            ]
-          )
+          lazy(viewContentChar, char, codes.get(char), state.highlighted === char)
         )
       ),
       h("p", {}, [ text("Encoded:")]),
       h( "div",
         { class: "h-encoded", onMouseLeave: () => ({ setHighlighted: null }) },
-        encodedWithDetails.map(({ offset, code, char }) => {
-          const withSpaces = code.split("").flatMap((char, ix) => {
-            const isByteBoundary = (ix + offset) % 8 === 0;
-            return isByteBoundary ? (" " + char) : char;
-          }).join("");
-          return h(
-            "span",
-            { class: "h-code " + (state.highlighted === char ? "highlighted" : ""),
-              onMouseOver: () => ({ setHighlighted: char }),
-            },
-            [ text(withSpaces)
-            ]
-          )
-        })
+        encodedWithDetails.map(({ offset, code, char }) =>
+          lazy(viewEncodedChar, offset, code, char, state.highlighted === char)
+        )
         .concat(
           state.highlighted !== null
-            ? [h("div", { class: "h-code-label" }, [ text(charName(state.highlighted)) ])]
+            ? [h("div", { class: "h-code-label", transition: { name: "h-code-label" } }, [
+                text(charName(state.highlighted))
+              ])]
             : []
         )
       ),
@@ -210,21 +587,21 @@ function view(state) {
           ])
         ].concat(histogram.map(({ char, freq, code }) => {
             return h("tr", {
-              style : "font-family: monospace",
-              class : char == state.highlighted ? "highlighted" : "",
+              style : { fontFamily: "monospace" },
+              class : { highlighted: char == state.highlighted },
               onMouseOver: () => ({ setHighlighted: char })
             }, [
               h("td", {}, [text(charName(char))]),
-              h("td", { style: "position: relative" }, [
+              h("td", { style: { position: "relative" } }, [
                 text(freq),
-                h("div", { style: `
-                  width: ${100 * (freq / maxFreq)}%;
-                  height: 100%;
-                  position: absolute;
-                  top: 0;
-                  left: 0;
-                  background-color: #2e9fff59;
-                  ` }, [])
+                h("div", { style: {
+                  width: `${100 * (freq / maxFreq)}%`,
+                  height: "100%",
+                  position: "absolute",
+                  top: 0,
+                  left: 0,
+                  backgroundColor: "#2e9fff59",
+                  } }, [])
               ]),
               h("td", {}, [text(code)]),
             ]);
@@ -235,11 +612,35 @@ function view(state) {
   ];
 }
 
-window.initHuffmanVisualisation = function (root) {
-  const initialState = {
-    content: "Try it out with your own content.",
-    highlighted: null,
-  };
-  init(root, initialState, update, view);
+const initialState = {
+  content: "Try it out with your own content.",
+  highlighted: null,
+  codeKind: "standard",
+  maxLength: 5,
+};
+
+if (isWorker) {
+  serve(initialState, update, view);
+} else {
+  const scriptUrl = document.currentScript && document.currentScript.src;
+
+  // <huffman-visualiser></huffman-visualiser>
+  defineElement("huffman-visualiser", {
+    init: () => initialState,
+    update,
+    view,
+    // styled by the page
+    shadow: false,
+    worker: () => {
+      if (scriptUrl && typeof Worker !== "undefined") {
+        try {
+          return new Worker(scriptUrl);
+        } catch (e) {
+          // workers can't be created in pages opened from a file
+        }
+      }
+      return null;
+    },
+  });
 }
 }
@@ -2,16 +2,120 @@
 //    = { tag : string
 //      , properties : { property: string }
 //      , children : [VirtualNode]
+//      , key : string | undefined
+//      , hooks : Hooks | undefined
 //      }
 //    | { text : string }
+//    | { lazy : { fn : (...args) -> VirtualNode, args : [any] } }
+//    | { boundary : { render : () -> VirtualNode, fallback : Error -> VirtualNode } }
+//    | { map : { fn : Msg -> Msg | undefined, node : VirtualNode } }
+//    | { fragment : [VirtualNode] }
+//    | { portal : { container : Element, node : VirtualNode } }
+//    | { virtual : VirtualList, key : string | undefined }
 //
 // Diff
 //    = { replace : VirtualNode }
 //    | { remove : true }
 //    | { create : VirtualNode }
-//    | { modify : { remove :: string[], set :: { property : value }, children :: Diff[] } }
+//    | { modify : { remove :: string[]
+//                 , set :: { property : value }
+//                 , style :: { remove :: string[], set :: { name : value } }
+//                 , classes :: { remove :: string[], add :: string[] }
+//                 , hooks :: Hooks | undefined
+//                 , maps :: [Msg -> Msg | undefined] | undefined
+//                 , children :: Diff[]
+//                 }
+//      }
+//    | { rehook : { hooks :: Hooks | undefined   -- only hooks changed, here or below
+//                 , children :: Diff[]
+//                 }
+//      }
+//    | { portal : Diff }   -- diff of the node rendered by a portal
+//    | { virtual : VirtualList }
+//    | { move : { from : int, diff : Diff } }
+//    | { keep : { from : int, diff : Diff } }
+//    | { drop : int }
 //    | { noop : true }
 //
+// Command
+//    = { none : true }
+//    | { focus : string }
+//    | { delay : { ms : int, msg : Msg } }
+//    | { fetch : { request : any, toMsg : ({ ok : any } | { error : Error }) -> Msg } }
+//    | { random : number -> Msg }
+//    | { batch : [Command] }
+//    | { map : { fn : Msg -> Msg | undefined, command : Command } }
+//
+// Subscription
+//    = { event : { target : "window" | "document", name : string, toMsg : Event -> Msg } }
+//    | { every : { ms : int, toMsg : int -> Msg } }
+//
+// The `style` property can be a string or an object from CSS property
+// names to values. The `class` property can be a string, an array of
+// class names, or an object whose keys with truthy values are class names.
+// Style objects and classes are updated one declaration and one class at a time.
+//
+// Hooks
+//    = { onCreate : Element -> ()  -- after the element is inserted
+//      , onUpdate : Element -> ()  -- after the element or its children are modified
+//      , onRemove : Element -> ()  -- before the element or an ancestor is removed
+//      , ref : (Element | null -> ()) | { current : Element | null }
+//      , transition : Transition
+//      }
+//
+// Transition
+//    = { name : string                       -- prefix of the transition classes
+//      , duration : int | undefined          -- in milliseconds. Read from the CSS if absent
+//      , onEnter : (Element, done) -> ()     -- call `done` when finished
+//      , onLeave : (Element, done) -> ()
+//      }
+//
+// Created elements with a transition get the classes `<name>-enter` and
+// `<name>-enter-active`, and on the next frame `<name>-enter` is replaced
+// by `<name>-enter-to`. The classes are removed when the CSS transitions
+// or animations end. Removed elements go through the same with "leave"
+// and are only taken out of the document once the transition and the
+// `onLeave` hook finish. Leaving elements are ignored by later diffs,
+// and their handlers and those of their descendants no longer run.
+//
+// Hooks are given as properties to `h`. They are called with the hooks of
+// the last virtual node the element was rendered with. A new `ref`,
+// `onRemove` or transition alone doesn't count as a modification and
+// doesn't run `onUpdate`.
+//
+// Messages from handlers inside of a `map` node go through its function
+// before reaching the program. The functions of a mapped element are kept
+// as `maps`, innermost first. A function returning `undefined` drops the message.
+//
+// Fragments are replaced by their children in the children of `h`, in the
+// list returned by `view` and in the other lists of nodes. They never reach
+// the diff. The children of a keyed fragment get keys prefixed with its key.
+//
+// Portals render their node at the end of another element, leaving an empty
+// comment in their place. Events in a portal are dispatched as if the node
+// was in that place: to the handlers of the portal's ancestors and then to
+// the program.
+//
+// Virtual lists only render the rows in view. Their element keeps the
+// list and the rows rendered, and renders again on scroll. Rows are keyed
+// by index unless they have a key. Rendered rows are measured, and rows
+// that were never rendered are taken to be `itemHeight` tall.
+//
+// VirtualList
+//    = { properties : Properties     -- of the scrolling element
+//      , count : int                 -- number of rows
+//      , itemHeight : number         -- estimated height of a row in pixels
+//      , render : int -> VirtualNode -- the row at an index
+//      , overscan : int              -- rows rendered above and below the visible ones
+//      , height : number | undefined -- height of the list in pixels. Taken from CSS if absent
+//      , maps : [Msg -> Msg | undefined] | undefined
+//      }
+//
+// Children without keys are diffed by position. When keys are present
+// each child diff refers to the original child it targets: `move` and
+// `keep` patch the child originally at index `from`, `move` also places it
+// after the previous child, and `drop` removes the child at the given index.
+//
 const SMVC = (function () {
 
 function assert(predicate, ...args) {
@@ -21,42 +125,539 @@ function assert(predicate, ...args) {
   }
 }
 
-const props = new Set([ "autoplay", "checked", "checked", "contentEditable", "controls",
-  "default", "hidden", "loop", "selected", "spellcheck", "value", "id", "title",
-  "accessKey", "dir", "dropzone", "lang", "src", "alt", "preload", "poster",
-  "kind", "label", "srclang", "sandbox", "srcdoc", "type", "value", "accept",
-  "placeholder", "acceptCharset", "action", "autocomplete", "enctype", "method",
-  "name", "pattern", "htmlFor", "max", "min", "step", "wrap", "useMap", "shape",
-  "coords", "align", "cite", "href", "target", "download", "download",
-  "hreflang", "ping", "start", "headers", "scope", "span" ]);
+// How properties are written to the DOM:
+//
+//   DOM properties      live element state such as an input's current value.
+//                       Set with `el[name]` and reset to a default on removal.
+//   boolean attributes  present when the value is truthy, absent when it is
+//                       `false`, `null` or the property is removed.
+//   attributes          everything else, including data-* and aria-*
+//                       attributes. Values are converted to strings so
+//                       `aria-hidden: false` becomes "false". Removed when
+//                       the value is `null` or the property is removed.
+//
+// Property names that differ from their attribute names, like `htmlFor`, are
+// replaced by the attribute name and `dataset` objects are expanded into
+// data-* attributes when the virtual node is created.
+
+// DOM properties and the values they are reset to.
+const domProperties = {
+  value: "",
+  checked: false,
+  selected: false,
+  indeterminate: false,
+  muted: false,
+  defaultValue: "",
+  defaultChecked: false,
+  defaultSelected: false,
+};
+
+const booleanAttributes = new Set([ "allowfullscreen", "async", "autofocus",
+  "autoplay", "controls", "default", "defer", "disabled", "formnovalidate",
+  "hidden", "inert", "ismap", "itemscope", "loop", "multiple", "nomodule",
+  "novalidate", "open", "playsinline", "readonly", "required", "reversed" ]);
+
+const attributeAliases = {
+  acceptCharset: "accept-charset",
+  accessKey: "accesskey",
+  allowFullscreen: "allowfullscreen",
+  autoFocus: "autofocus",
+  autoPlay: "autoplay",
+  className: "class",
+  colSpan: "colspan",
+  contentEditable: "contenteditable",
+  crossOrigin: "crossorigin",
+  dateTime: "datetime",
+  encType: "enctype",
+  formNoValidate: "formnovalidate",
+  htmlFor: "for",
+  httpEquiv: "http-equiv",
+  isMap: "ismap",
+  maxLength: "maxlength",
+  minLength: "minlength",
+  noModule: "nomodule",
+  noValidate: "novalidate",
+  playsInline: "playsinline",
+  readOnly: "readonly",
+  referrerPolicy: "referrerpolicy",
+  rowSpan: "rowspan",
+  srcLang: "srclang",
+  srcset: "srcset",
+  tabIndex: "tabindex",
+  useMap: "usemap",
+};
+
+function propertyKind(prop, isHtml) {
+  return (isHtml && domProperties.hasOwnProperty(prop))
+    ? "property"
+    : booleanAttributes.has(prop)
+    ? "boolean"
+    : "attribute";
+}
+
+// "fooBar" -> "data-foo-bar"
+function dataAttribute(name) {
+  return "data-" + name.replace(/[A-Z]/g, c => "-" + c.toLowerCase());
+}
+
+function normaliseProperties(properties) {
+  const result = {};
+  for (const prop in properties) {
+    const value = properties[prop];
+    if (prop === "dataset" && typeof value === "object" && value !== null) {
+      for (const name in value) {
+        result[dataAttribute(name)] = value[name];
+      }
+    } else {
+      result[attributeAliases[prop] || prop] = value;
+    }
+  }
+  return result;
+}
+
+const namespaces = {
+  html: "http://www.w3.org/1999/xhtml",
+  svg: "http://www.w3.org/2000/svg",
+  math: "http://www.w3.org/1998/Math/MathML",
+  xlink: "http://www.w3.org/1999/xlink",
+  xml: "http://www.w3.org/XML/1998/namespace",
+  xmlns: "http://www.w3.org/2000/xmlns/",
+};
+
+// Namespace of an element given the namespace of its parent.
+function elementNamespace(tag, parentNamespace) {
+  return tag === "svg"
+    ? namespaces.svg
+    : tag === "math"
+    ? namespaces.math
+    : parentNamespace;
+}
+
+// Namespace of the children of an element.
+function childNamespace(el) {
+  return (el.namespaceURI === namespaces.svg && el.localName === "foreignObject")
+    ? namespaces.html
+    : (el.namespaceURI || namespaces.html);
+}
+
+// Namespace of attributes like "xlink:href", or null.
+function attributeNamespace(name) {
+  const colon = name.indexOf(":");
+  return colon < 0 ? null : (namespaces[name.slice(0, colon)] || null);
+}
+
+function setAttribute(el, name, value) {
+  const ns = attributeNamespace(name);
+  (ns === null)
+    ? el.setAttribute(name, value)
+    : el.setAttributeNS(ns, name, value);
+}
+
+function removeAttribute(el, name) {
+  const ns = attributeNamespace(name);
+  (ns === null)
+    ? el.removeAttribute(name)
+    : el.removeAttributeNS(ns, name.slice(name.indexOf(":") + 1));
+}
+
+function isStyleObject(value) {
+  return typeof value === "object" && value !== null;
+}
+
+// "fontWeight" -> "font-weight". Custom properties are left alone.
+function cssName(name) {
+  return name.indexOf("--") === 0
+    ? name
+    : name.replace(/[A-Z]/g, c => "-" + c.toLowerCase());
+}
+
+function setStyle(el, name, value) {
+  if (value === undefined || value === null || value === false) {
+    el.style.removeProperty(cssName(name));
+    return;
+  }
+  const str = String(value);
+  const important = /\s*!important\s*$/;
+  important.test(str)
+    ? el.style.setProperty(cssName(name), str.replace(important, ""), "important")
+    : el.style.setProperty(cssName(name), str);
+}
+
+function styleString(style) {
+  return Object.keys(style)
+    .filter(name => style[name] !== undefined && style[name] !== null && style[name] !== false)
+    .map(name => `${cssName(name)}: ${style[name]}`)
+    .join("; ");
+}
+
+function classTokens(value) {
+  if (typeof value === "string") {
+    return value.split(/\s+/).filter(token => token !== "");
+  }
+  if (Array.isArray(value)) {
+    return value
+      .filter(token => typeof token === "string")
+      .flatMap(classTokens);
+  }
+  if (typeof value === "object" && value !== null) {
+    return Object.keys(value).filter(token => value[token]).flatMap(classTokens);
+  }
+  return [];
+}
+
+function unsetProperty(prop, el) {
+  // fields without a value or checked property are left to the user.
+  if (el._ui.controlled !== undefined) {
+    delete el._ui.controlled[prop];
+  }
+  const kind = propertyKind(prop, el.namespaceURI === namespaces.html);
+  (kind === "property")
+    ? el[prop] = domProperties[prop]
+    : removeAttribute(el, prop);
+}
 
 function setProperty(prop, value, el) {
-  if (props.has(prop)) {
-    el[prop] = value;
+  if (prop === "style" && isStyleObject(value)) {
+    el.removeAttribute("style");
+    for (const name in value) {
+      setStyle(el, name, value[name]);
+    }
+  } else if (prop === "class" && typeof value !== "string") {
+    el.setAttribute("class", classTokens(value).join(" "));
   } else {
-    el.setAttribute(prop, value);
+    const kind = propertyKind(prop, el.namespaceURI === namespaces.html);
+    switch (kind) {
+      case "property":
+        isControlled(el.localName, prop)
+          ? setControlled(el, prop, (value === null) ? domProperties[prop] : value)
+          : (el[prop] = (value === null) ? domProperties[prop] : value);
+        break;
+
+      case "boolean":
+        (value === false || value === null)
+          ? el.removeAttribute(prop)
+          : el.setAttribute(prop, "");
+        break;
+
+      default:
+        (value === null)
+          ? removeAttribute(el, prop)
+          : setAttribute(el, prop, value);
+        break;
+    }
   }
 }
 
-function listener(event) {
-  const el = event.currentTarget;
-  const handler = el._ui.listeners[event.type];
-  const enqueue = el._ui.enqueue;
-  assert(typeof enqueue == "function", "Invalid enqueue");
-  const msg = handler(event);
-  if (msg !== undefined) {
-    enqueue(msg);
+// The `value` and `checked` properties of form fields are controlled: after
+// every patch they are compared with the live element, not only with the
+// previous virtual node, so the element always shows what the view says
+// even after `update` rejects or changes what was typed. Writing a value keeps the
+// selection in place, and writes are put off while an input method is
+// composing text.
+const controlledTags = new Set([ "input", "textarea", "select" ]);
+
+function isControlled(tag, prop) {
+  return (prop === "value" || prop === "checked") && controlledTags.has(tag.toLowerCase());
+}
+
+function setControlled(el, prop, value) {
+  if (el._ui.controlled === undefined) {
+    el._ui.controlled = {};
+    el._ui.fields.add(el);
+    watchComposition(el);
   }
+  el._ui.controlled[prop] = value;
+  if (prop === "checked") {
+    if (el.checked !== value) {
+      el.checked = value;
+    }
+    return;
+  }
+  const text = String(value);
+  if (el._ui.composing) {
+    // written when composition ends unless the text changes before that.
+    el._ui.deferred = { text, seen: el.value };
+    return;
+  }
+  writeValue(el, text);
 }
 
-function setListener(el, event, handle) {
-  assert(typeof handle == "function", "Event listener is not a function for event:", event);
+function watchComposition(el) {
+  el.addEventListener("compositionstart", () => {
+    el._ui.composing = true;
+  });
+  el.addEventListener("compositionend", () => {
+    const deferred = el._ui.deferred;
+    el._ui.composing = false;
+    el._ui.deferred = undefined;
+    if (deferred !== undefined && el.value === deferred.seen) {
+      writeValue(el, deferred.text);
+    }
+  });
+}
+
+// Positions after the changed part of the text keep their distance to the end.
+function movedPosition(position, before, after) {
+  const suffix = before.slice(position);
+  return after.endsWith(suffix)
+    ? after.length - suffix.length
+    : Math.min(position, after.length);
+}
+
+function writeValue(el, text) {
+  const before = el.value;
+  if (before === text) {
+    return;
+  }
+  const hasSelection = el.getRootNode().activeElement === el && typeof el.selectionStart === "number";
+  const { selectionStart: start, selectionEnd: end, selectionDirection: direction } = hasSelection ? el : {};
+  el.value = text;
+  if (hasSelection) {
+    el.setSelectionRange(movedPosition(start, before, text), movedPosition(end, before, text), direction);
+  }
+}
+
+// Bring the controlled fields of a program back to the values of the view.
+function syncFields(ctx) {
+  for (const el of ctx.fields) {
+    if (el._ui.removed) {
+      ctx.fields.delete(el);
+      continue;
+    }
+    const { value, checked } = el._ui.controlled;
+    if (checked !== undefined && el.checked !== checked) {
+      el.checked = checked;
+    }
+    if (value !== undefined && !el._ui.composing) {
+      writeValue(el, String(value));
+    }
+  }
+}
+
+// A select's value can only be set once its options are in it.
+function syncSelect(el) {
+  if (el.localName === "select" && el._ui.controlled !== undefined && el._ui.controlled.value !== undefined) {
+    writeValue(el, String(el._ui.controlled.value));
+  }
+}
+
+// Events are delegated: a single native listener per event type and
+// listener options is added to the root of the program, and events are
+// dispatched from there to the handlers of the elements in their path.
+//
+// Handler
+//    = Event -> Msg | undefined
+//    | { handler : any -> Msg | undefined
+//      , decoder : Decoder | undefined  -- what the handler receives instead of the event
+//      , preventDefault : boolean
+//      , stopPropagation : boolean      -- don't run the handlers of the elements above
+//      , passive : boolean
+//      , capture : boolean              -- run before the handlers of the elements below
+//      }
+//
+// Decoder
+//    = [string]                  -- a path into the event, like ["target", "value"]
+//    | { [name] : Decoder }      -- an object with the values of many paths
+//    | Event -> any
+//
+// Decoders that don't match the event produce no message. Handlers and
+// decoders see the element they are on as the `currentTarget` of the event.
+
+// Events that don't bubble are only dispatched to their target.
+const nonBubbling = new Set([ "abort", "blur", "canplay", "canplaythrough",
+  "durationchange", "emptied", "ended", "error", "focus", "invalid", "load",
+  "loadeddata", "loadedmetadata", "loadend", "loadstart", "mouseenter",
+  "mouseleave", "pause", "play", "playing", "pointerenter", "pointerleave",
+  "progress", "ratechange", "scroll", "seeked", "seeking", "stalled",
+  "suspend", "timeupdate", "toggle", "volumechange", "waiting" ]);
+
+function toHandler(event, handle) {
+  if (typeof handle == "function") {
+    return { handler: handle, decoder: undefined, preventDefault: false,
+      stopPropagation: false, passive: false, capture: false };
+  }
+  assert(typeof handle == "object" && handle !== null && typeof handle.handler == "function",
+    "Event listener is not a function or a handler object for event:", event);
+  return {
+    handler: handle.handler,
+    decoder: handle.decoder,
+    preventDefault: !!handle.preventDefault,
+    stopPropagation: !!handle.stopPropagation,
+    passive: !!handle.passive,
+    capture: !!handle.capture,
+  };
+}
+
+const noMatch = {};
+
+function decode(decoder, event) {
+  if (decoder === undefined) {
+    return event;
+  }
+  if (typeof decoder == "function") {
+    const value = decoder(event);
+    return value === undefined ? noMatch : value;
+  }
+  if (Array.isArray(decoder)) {
+    let value = event;
+    for (const field of decoder) {
+      if (value === undefined || value === null) {
+        return noMatch;
+      }
+      value = value[field];
+    }
+    return value === undefined ? noMatch : value;
+  }
+  const result = {};
+  for (const name in decoder) {
+    const value = decode(decoder[name], event);
+    if (value === noMatch) {
+      return noMatch;
+    }
+    result[name] = value;
+  }
+  return result;
+}
+
+// Listens to events on the root of a program and on the containers of its portals.
+function delegator(root) {
+  const registered = new Map(); // native listeners by type and options
+  const targets = new Map([ [ root, 1 ] ]); // elements listened to and their portal count
+
+  function listen(type, { capture, passive }) {
+    const id = `${type}:${capture}:${passive}`;
+    if (registered.has(id)) {
+      return;
+    }
+    // the same event can reach the root and a container holding the root.
+    const seen = new WeakSet();
+    const native = event => {
+      if (!seen.has(event)) {
+        seen.add(event);
+        dispatch(root, event, capture, passive);
+      }
+    };
+    const options = { capture: capture || nonBubbling.has(type), passive };
+    registered.set(id, { type, native, options });
+    for (const target of targets.keys()) {
+      target.addEventListener(type, native, options);
+    }
+  }
+
+  function attach(target) {
+    const count = targets.get(target) || 0;
+    targets.set(target, count + 1);
+    if (count === 0) {
+      for (const { type, native, options } of registered.values()) {
+        target.addEventListener(type, native, options);
+      }
+    }
+  }
+
+  function detach(target) {
+    const count = targets.get(target);
+    if (count === undefined || target === root) {
+      return;
+    }
+    if (count > 1) {
+      targets.set(target, count - 1);
+      return;
+    }
+    targets.delete(target);
+    for (const { type, native, options } of registered.values()) {
+      target.removeEventListener(type, native, options);
+    }
+  }
+
+  function destroy() {
+    for (const target of targets.keys()) {
+      for (const { type, native, options } of registered.values()) {
+        target.removeEventListener(type, native, options);
+      }
+    }
+    registered.clear();
+    targets.clear();
+  }
+
+  return { listen, attach, detach, destroy };
+}
+
+// The node a node's events bubble to. For the node of a portal,
+// that is the comment the portal left in its place.
+function parentOf(node) {
+  return node._portalOf !== undefined ? node._portalOf : node.parentNode;
+}
+
+function dispatch(root, event, capture, passive) {
+  // elements from the target up to the root
+  let path = [];
+  for (let node = event.target; node !== root; node = parentOf(node)) {
+    if (node === null) {
+      return; // not rendered by this program
+    }
+    if (isLeaving(node)) {
+      path = []; // it and its descendants are on their way out
+    } else if (node._ui !== undefined) {
+      path.push(node);
+    }
+  }
+  if (nonBubbling.has(event.type)) {
+    path = path.filter(el => el === event.target);
+  }
+  if (capture) {
+    path.reverse();
+  }
+
+  for (const el of path) {
+    const handle = el._ui.listeners[event.type];
+    if (handle === undefined || handle.capture !== capture || handle.passive !== passive) {
+      continue;
+    }
+    if (handle.preventDefault && !passive) {
+      event.preventDefault();
+    }
+    const input = decode(handle.decoder, eventAt(event, el));
+    if (input !== noMatch) {
+      const msg = mapMessage(root, el, handle.handler(input));
+      if (msg !== undefined) {
+        el._ui.enqueue(msg);
+      }
+    }
+    if (handle.stopPropagation) {
+      event.stopPropagation();
+      break;
+    }
+  }
+}
+
+// The event as seen from an element. The native listener is on the root,
+// so `currentTarget` would otherwise be the root.
+function eventAt(event, el) {
+  return new Proxy(event, {
+    get(target, key) {
+      if (key === "currentTarget") {
+        return el;
+      }
+      const value = target[key];
+      return typeof value == "function" ? value.bind(target) : value;
+    }
+  });
+}
 
-  if (el._ui.listeners[event] === undefined) {
-    el.addEventListener(event, listener);
+// Pass a message through the functions of the `map` nodes around an element.
+function mapMessage(root, el, msg) {
+  for (let node = el; node !== null && node !== root; node = parentOf(node)) {
+    if (node._ui !== undefined && node._ui.maps !== undefined) {
+      msg = node._ui.maps.reduce((m, fn) => m === undefined ? m : fn(m), msg);
+    }
   }
+  return msg;
+}
 
-  el._ui.listeners[event] = handle;
+function setListener(el, event, handle) {
+  const handler = toHandler(event, handle);
+  el._ui.events.listen(event, handler);
+  el._ui.listeners[event] = handler;
 }
 
 function eventName(str) {
@@ -66,9 +667,162 @@ function eventName(str) {
   return null;
 }
 
+// The node a lazy or boundary node renders to. It is only computed once.
+function force(vnode) {
+  if (!isDeferred(vnode)) {
+    return vnode;
+  }
+  if (vnode.rendered === undefined) {
+    vnode.rendered = vnode.lazy !== undefined
+      ? renderLazy(vnode.lazy)
+      : vnode.boundary !== undefined
+      ? renderBoundary(vnode.boundary)
+      : renderMap(vnode.map);
+    assert(vnode.rendered.fragment === undefined,
+      "Lazy nodes and boundaries render a single node. Wrap the fragment in an element. Found:", vnode.rendered);
+  }
+  return vnode.rendered;
+}
+
+function renderLazy({ fn, args }) {
+  const rendered = fn(...args);
+  assert(rendered instanceof VirtualNode, "Expected lazy function to return a VirtualNode, found", rendered);
+  return force(rendered);
+}
+
+function renderBoundary({ render, fallback }) {
+  try {
+    const rendered = render();
+    assert(rendered instanceof VirtualNode, "Expected boundary view to return a VirtualNode, found", rendered);
+    return force(rendered);
+  } catch (e) {
+    console.error(e);
+    return renderFallback(fallback, e);
+  }
+}
+
+function renderFallback(fallback, error) {
+  const rendered = fallback(error);
+  assert(rendered instanceof VirtualNode, "Expected boundary fallback to return a VirtualNode, found", rendered);
+  return force(rendered);
+}
+
+// A copy of the rendered element that also maps its messages with `fn`.
+function renderMap({ fn, node }) {
+  const rendered = force(node);
+  if (rendered.portal !== undefined) {
+    const { container, node: inner } = rendered.portal;
+    return new VirtualNode({ portal: { container, node: map(fn, inner) }, key: rendered.key });
+  }
+  if (rendered.virtual !== undefined) {
+    const { maps } = rendered.virtual;
+    return new VirtualNode({ virtual: Object.assign({}, rendered.virtual, {
+      maps: (maps || []).concat([ fn ])
+    }), key: rendered.key });
+  }
+  return rendered.text !== undefined
+    ? rendered
+    : new VirtualNode(Object.assign({}, rendered, { maps: (rendered.maps || []).concat([ fn ]) }));
+}
+
+function isDeferred(vnode) {
+  return vnode.lazy !== undefined || vnode.boundary !== undefined || vnode.map !== undefined;
+}
+
+// Virtual lists only render their rows again when something about them changed.
+function sameVirtual(l, r) {
+  return l.count === r.count
+    && l.itemHeight === r.itemHeight
+    && l.render === r.render
+    && l.height === r.height
+    && l.overscan === r.overscan
+    && sameMaps(l.maps, r.maps)
+    && isNoop(diffOne(h("div", l.properties, []), h("div", r.properties, [])));
+}
+
+function sameMaps(l, r) {
+  const ls = l || [];
+  const rs = r || [];
+  return ls.length === rs.length && ls.every((fn, i) => fn === rs[i]);
+}
+
+// Whether an element can keep its hooks. `onCreate` and `onUpdate` are
+// taken from the virtual node when they run, so only the others matter.
+function sameHooks(l, r) {
+  const lh = l || {};
+  const rh = r || {};
+  return lh.ref === rh.ref
+    && lh.onRemove === rh.onRemove
+    && sameTransition(lh.transition, rh.transition);
+}
+
+function sameTransition(l, r) {
+  return l === r || (l !== undefined && r !== undefined
+    && l.name === r.name
+    && l.duration === r.duration
+    && l.onEnter === r.onEnter
+    && l.onLeave === r.onLeave);
+}
+
+function sameLazy(l, r) {
+  return l.lazy.fn === r.lazy.fn
+    && l.lazy.args.length === r.lazy.args.length
+    && l.lazy.args.every((arg, i) => arg === r.lazy.args[i]);
+}
+
 // diff two virtual nodes
 function diffOne(l, r) {
   assert(r instanceof VirtualNode, "Expected an instance of VirtualNode, found", r);
+  if (l.lazy !== undefined && r.lazy !== undefined && sameLazy(l, r)) {
+    r.rendered = l.rendered;
+    return { noop : true };
+  }
+  // with the same function, lazy nodes inside of the map are reused.
+  if (l.map !== undefined && r.map !== undefined && l.map.fn === r.map.fn) {
+    const diff = diffOne(l.map.node, r.map.node);
+    // portals and virtual lists keep the maps inside of them.
+    if (diff.portal !== undefined || diff.virtual !== undefined) {
+      return diffOne(force(l), force(r));
+    }
+    const rendered = force(r);
+    if (diff.replace !== undefined) {
+      return { replace: rendered };
+    }
+    if (diff.modify !== undefined) {
+      diff.modify.maps = rendered.maps;
+    }
+    return diff;
+  }
+  if (r.boundary !== undefined) {
+    const rendered = force(r);
+    try {
+      return diffOne(force(l), rendered);
+    } catch (e) {
+      console.error(e);
+      r.rendered = renderFallback(r.boundary.fallback, e);
+      return { replace: r.rendered };
+    }
+  }
+  if (isDeferred(l) || isDeferred(r)) {
+    return diffOne(force(l), force(r));
+  }
+
+  if (l.virtual !== undefined || r.virtual !== undefined) {
+    return (l.virtual === undefined || r.virtual === undefined)
+      ? { replace: r }
+      : sameVirtual(l.virtual, r.virtual)
+      ? { noop: true }
+      : { virtual: r.virtual };
+  }
+
+  if (l.portal !== undefined || r.portal !== undefined) {
+    if (l.portal === undefined || r.portal === undefined || l.portal.container !== r.portal.container) {
+      return { replace: r };
+    }
+    const diff = diffOne(l.portal.node, r.portal.node);
+    return diff.noop ? { noop: true } : { portal: diff };
+  }
+
   const isText = l.text !== undefined;
   if (isText) {
     return l.text !== r.text
@@ -82,6 +836,8 @@ function diffOne(l, r) {
 
   const remove = [];
   const set = {};
+  let style = { remove: [], set: {} };
+  let classes = { remove: [], add: [] };
 
   for (const prop in l.properties) {
     if (r.properties[prop] === undefined) {
@@ -90,24 +846,87 @@ function diffOne(l, r) {
   }
 
   for (const prop in r.properties) {
-    if (r.properties[prop] !== l.properties[prop]) {
-      set[prop] = r.properties[prop];
+    const lvalue = l.properties[prop];
+    const rvalue = r.properties[prop];
+    if (rvalue === lvalue) {
+      continue;
+    }
+    if (prop === "style" && isStyleObject(lvalue) && isStyleObject(rvalue)) {
+      style = diffStyle(lvalue, rvalue);
+    } else if (prop === "class" && lvalue !== undefined && rvalue !== undefined) {
+      classes = diffClasses(lvalue, rvalue);
+    } else {
+      set[prop] = rvalue;
     }
   }
 
   const children = diffList(l.children, r.children);
-  const noChildrenChange = children.every(e => e.noop);
+  const noChildrenChange = children.every(isNoop);
+  const onlyHooksBelow = children.every(isRehook);
   const noPropertyChange =
         (remove.length === 0) &&
-        (Array.from(Object.keys(set)).length == 0);
+        (Array.from(Object.keys(set)).length == 0) &&
+        (style.remove.length === 0) &&
+        (Object.keys(style.set).length === 0) &&
+        (classes.remove.length === 0) &&
+        (classes.add.length === 0);
+
+  if (onlyHooksBelow && noPropertyChange && sameMaps(l.maps, r.maps)) {
+    return (noChildrenChange && sameHooks(l.hooks, r.hooks))
+      ? { noop : true }
+      : { rehook: { hooks: r.hooks, children } };
+  }
+  return { modify: { remove, set, style, classes, hooks: r.hooks, maps: r.maps, children } };
+}
+
+function diffStyle(l, r) {
+  const remove = [];
+  const set = {};
+  const isSet = v => v !== undefined && v !== null && v !== false;
+  for (const name in l) {
+    if (isSet(l[name]) && !isSet(r[name])) {
+      remove.push(name);
+    }
+  }
+  for (const name in r) {
+    if (isSet(r[name]) && r[name] !== l[name]) {
+      set[name] = r[name];
+    }
+  }
+  return { remove, set };
+}
+
+function diffClasses(l, r) {
+  const ltokens = new Set(classTokens(l));
+  const rtokens = new Set(classTokens(r));
+  return {
+    remove: [...ltokens].filter(token => !rtokens.has(token)),
+    add: [...rtokens].filter(token => !ltokens.has(token)),
+  };
+}
 
-  return (noChildrenChange && noPropertyChange)
-    ? { noop : true }
-    : { modify: { remove, set, children } };
+function isNoop(diff) {
+  return diff.noop || (diff.keep !== undefined && diff.keep.diff.noop);
+}
+
+// Whether a diff leaves the document as it is.
+function isRehook(diff) {
+  return isNoop(diff) || diff.rehook !== undefined
+    || (diff.keep !== undefined && diff.keep.diff.rehook !== undefined);
+}
+
+function hasKey(vnode) {
+  return vnode.key !== undefined;
 }
 
 function diffList(ls, rs) {
   assert(rs instanceof Array, "Expected an array, found", rs);
+  return (ls.some(hasKey) || rs.some(hasKey))
+    ? diffKeyed(ls, rs)
+    : diffIndexed(ls, rs);
+}
+
+function diffIndexed(ls, rs) {
   const length = Math.max(ls.length, rs.length);
   return Array.from({ length })
     .map((_,i) =>
@@ -119,90 +938,785 @@ function diffList(ls, rs) {
     );
 }
 
-function create(enqueue, vnode) {
-  assert(vnode instanceof VirtualNode, "Expected an instance of VirtualNode, found", vnode);
+// Pair children by key. Children without a key are paired
+// with the unkeyed children of the old list in order.
+function diffKeyed(ls, rs) {
+  const byKey = new Map();
+  const unkeyed = [];
+  ls.forEach((l, i) => hasKey(l) ? byKey.set(l.key, i) : unkeyed.push(i));
 
-  if (vnode.text !== undefined) {
-    const el = document.createTextNode(vnode.text);
-    return el;
-  }
+  // index in `ls` of the node each node in `rs` is paired with, or -1.
+  const used = new Set();
+  const sources = rs.map(r => {
+    const i = hasKey(r) ? byKey.get(r.key) : unkeyed.shift();
+    if (i === undefined || used.has(i)) {
+      return -1;
+    }
+    used.add(i);
+    return i;
+  });
 
-  const el = document.createElement(vnode.tag);
-  el._ui = { listeners : {}, enqueue };
+  // nodes already in the right relative order don't need to move.
+  const stable = longestIncreasing(sources);
 
-  for (const prop in vnode.properties) {
-    const event = eventName(prop);
-    const value = vnode.properties[prop];
-    (event === null)
-      ? setProperty(prop, value, el)
-      : setListener(el, event, value);
-  }
+  const drops = ls
+    .map((_, i) => i)
+    .filter(i => !used.has(i))
+    .map(i => ({ drop: i }));
 
-  for (const childVNode of vnode.children) {
-    const child = create(enqueue, childVNode);
-    el.appendChild(child);
-  }
+  const placed = rs.map((r, j) => {
+    const from = sources[j];
+    if (from < 0) {
+      return { create: r };
+    }
+    const diff = diffOne(ls[from], r);
+    return stable.has(j)
+      ? { keep: { from, diff } }
+      : { move: { from, diff } };
+  });
 
-  return el;
+  return drops.concat(placed);
 }
 
-function modify(el, enqueue, diff) {
-  for (const prop of diff.remove) {
-    const event = eventName(prop);
-    if (event === null) {
-      el.removeAttribute(prop);
-    } else {
-      el._ui.listeners[event] = undefined;
-      el.removeEventListener(event, listener);
+// Positions in `seq` forming its longest strictly increasing subsequence.
+// Negative values are ignored.
+function longestIncreasing(seq) {
+  const tails = []; // position of the smallest tail of a subsequence of each length
+  const prev = [];  // position of the previous element in the subsequence
+  seq.forEach((value, i) => {
+    if (value < 0) return;
+    let lo = 0;
+    let hi = tails.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (seq[tails[mid]] < value) {
+        lo = mid + 1;
+      } else {
+        hi = mid;
+      }
     }
+    prev[i] = lo > 0 ? tails[lo - 1] : -1;
+    tails[lo] = i;
+  });
+
+  const result = new Set();
+  let i = tails.length > 0 ? tails[tails.length - 1] : -1;
+  while (i >= 0) {
+    result.add(i);
+    i = prev[i];
   }
+  return result;
+}
 
-  for (const prop in diff.set) {
-    const value = diff.set[prop];
+function addProperties(el, properties) {
+  for (const prop in properties) {
     const event = eventName(prop);
+    const value = properties[prop];
     (event === null)
       ? setProperty(prop, value, el)
       : setListener(el, event, value);
   }
-
-  assert(diff.children.length >= el.childNodes.length, "unmatched children lengths");
-  apply(el, enqueue, diff.children);
 }
 
-function apply(el, enqueue, childrenDiff) {
-  const children = Array.from(el.childNodes);
+// Context
+//    = { enqueue : Msg -> ()
+//      , events : delegator   -- listens to events on the program's root
+//      , pending : [() -> ()] -- hooks to run after the diff is applied
+//      }
+//
+// `ns` is the namespace of the parent element.
+function create(ctx, vnode, ns = namespaces.html) {
+  assert(vnode instanceof VirtualNode, "Expected an instance of VirtualNode, found", vnode);
 
-  childrenDiff.forEach((diff, i) => {
-    const action = Object.keys(diff)[0];
+  if (vnode.lazy !== undefined || vnode.map !== undefined) {
+    return create(ctx, force(vnode), ns);
+  }
+
+  if (vnode.boundary !== undefined) {
+    try {
+      return create(ctx, force(vnode), ns);
+    } catch (e) {
+      console.error(e);
+      vnode.rendered = renderFallback(vnode.boundary.fallback, e);
+      return create(ctx, vnode.rendered, ns);
+    }
+  }
+
+  if (vnode.text !== undefined) {
+    const el = document.createTextNode(vnode.text);
+    return el;
+  }
+
+  if (vnode.portal !== undefined) {
+    return createPortal(ctx, vnode.portal);
+  }
+
+  if (vnode.virtual !== undefined) {
+    const range = visibleRange(vnode.virtual, null);
+    const frame = virtualFrame(vnode.virtual, range);
+    const el = create(ctx, frame, ns);
+    watchScroll(ctx, el, vnode.virtual, frame, range);
+    return el;
+  }
+
+  const el = document.createElementNS(elementNamespace(vnode.tag, ns), vnode.tag);
+  el._ui = { listeners : {}, enqueue: ctx.enqueue, events: ctx.events, fields: ctx.fields, hooks: vnode.hooks, maps: vnode.maps };
+  addProperties(el, vnode.properties);
+
+  for (const childVNode of vnode.children) {
+    const child = create(ctx, childVNode, childNamespace(el));
+    el.appendChild(child);
+  }
+  syncSelect(el);
+
+  created(ctx, el);
+  const transition = transitionOf(el);
+  if (transition !== undefined) {
+    ctx.pending.push(() => runTransition(el, transition, "enter", () => {}));
+  }
+  return el;
+}
+
+// The height of a row: as measured if it was rendered, estimated otherwise.
+function rowHeight(list, heights, index) {
+  return heights.has(index) ? heights.get(index) : list.itemHeight;
+}
+
+// The distance from the top of the list to a row.
+function rowOffset(list, heights, index) {
+  let offset = index * list.itemHeight;
+  for (const [ measured, height ] of heights) {
+    if (measured < index) {
+      offset += height - list.itemHeight;
+    }
+  }
+  return offset;
+}
+
+// Rows from `start` up to `end` are rendered.
+// Before the element is laid out its height is taken from the list.
+function visibleRange(list, el, heights = new Map()) {
+  const { count, overscan, height } = list;
+  const viewport = (el !== null && el.clientHeight) || height || 0;
+  const scrollTop = el !== null ? el.scrollTop : 0;
+  let first = 0;
+  let top = 0;
+  while (first < count && top + rowHeight(list, heights, first) <= scrollTop) {
+    top += rowHeight(list, heights, first);
+    first++;
+  }
+  let last = first;
+  while (last < count && top < scrollTop + viewport) {
+    top += rowHeight(list, heights, last);
+    last++;
+  }
+  return {
+    start: Math.max(0, first - overscan),
+    end: Math.min(count, last + overscan),
+  };
+}
+
+// The elements of a list showing a range of rows.
+function virtualFrame(list, { start, end }, heights = new Map()) {
+  const { properties, count, render, height } = list;
+  const { style } = properties;
+  const frameStyle = Object.assign({ overflowY: "auto" }, height === undefined ? {} : { height: `${height}px` });
+  const rows = [];
+  for (let i = start; i < end; i++) {
+    const row = render(i);
+    assert(row instanceof VirtualNode, "Expected the row to be a VirtualNode, found", row);
+    rows.push(hasKey(row) ? row : withKey(row, i));
+  }
+  const frame = h("div", Object.assign({}, properties, {
+    style: (style === undefined || isStyleObject(style))
+      ? Object.assign(frameStyle, style)
+      : styleString(frameStyle) + "; " + style,
+  }), [
+    h("div", { style: { position: "relative", height: `${rowOffset(list, heights, count)}px` } }, [
+      h("div", { style: { transform: `translateY(${rowOffset(list, heights, start)}px)` } }, rows)
+    ])
+  ]);
+  frame.maps = list.maps;
+  return frame;
+}
+
+function watchScroll(ctx, el, list, frame, range) {
+  el._ui.virtual = { ctx, list, frame, range, heights: new Map() };
+  el.addEventListener("scroll", () => {
+    renderRows(el, false);
+    runPending(ctx);
+  }, { passive: true });
+  // the size of the element is only known once it is in the document.
+  ctx.pending.push(() => {
+    renderRows(el, false);
+    runPending(ctx);
+  });
+}
+
+// Render the rows in view. Unless `always`, only if they changed.
+function renderRows(el, always) {
+  const virtual = el._ui.virtual;
+  if (el._ui.removed) {
+    return;
+  }
+  const range = visibleRange(virtual.list, el, virtual.heights);
+  if (always || range.start !== virtual.range.start || range.end !== virtual.range.end) {
+    const frame = virtualFrame(virtual.list, range, virtual.heights);
+    patch(el, virtual.ctx, diffOne(virtual.frame, frame));
+    virtual.frame = frame;
+    virtual.range = range;
+  }
+  // offsets change with the heights measured.
+  if (measureRows(el)) {
+    renderRows(el, true);
+  }
+}
+
+// Record the heights of the rows rendered. Returns whether any changed.
+// Elements that are not laid out measure 0 and are left as estimated.
+function measureRows(el) {
+  const { range, heights } = el._ui.virtual;
+  const rows = liveChildren(el.firstChild.firstChild);
+  let changed = false;
+  rows.forEach((row, i) => {
+    const height = row.nodeType === Node.ELEMENT_NODE ? row.getBoundingClientRect().height : 0;
+    if (height > 0 && heights.get(range.start + i) !== height) {
+      heights.set(range.start + i, height);
+      changed = true;
+    }
+  });
+  return changed;
+}
+
+// Returns the comment left in place of the portal.
+function createPortal(ctx, { container, node }) {
+  const placeholder = document.createComment("portal");
+  const child = create(ctx, node, childNamespace(container));
+  child._portalOf = placeholder;
+  placeholder._portal = { container, node: child, events: ctx.events };
+  container.appendChild(child);
+  ctx.events.attach(container);
+  return placeholder;
+}
+
+function removePortal(placeholder) {
+  const portal = placeholder._portal;
+  if (portal.removed) {
+    return;
+  }
+  portal.removed = true;
+  portal.events.detach(portal.container);
+  remove(portal.node);
+}
+
+function setRef(ref, value) {
+  if (typeof ref == "function") {
+    ref(value);
+  } else if (ref !== undefined) {
+    ref.current = value;
+  }
+}
+
+// Creation hooks run once the whole diff has been applied,
+// when the element is already in the document.
+function created(ctx, el) {
+  const hooks = el._ui.hooks;
+  if (hooks !== undefined) {
+    ctx.pending.push(() => {
+      setRef(hooks.ref, el);
+      hooks.onCreate && hooks.onCreate(el);
+    });
+  }
+}
+
+function updated(ctx, el, previous) {
+  const hooks = el._ui.hooks;
+  rehooked(ctx, el, previous);
+  if (hooks !== undefined && hooks.onUpdate !== undefined) {
+    ctx.pending.push(() => hooks.onUpdate(el));
+  }
+}
+
+// Move the ref over when the hooks of an element are replaced.
+function rehooked(ctx, el, previous) {
+  const previousRef = previous && previous.ref;
+  const ref = el._ui.hooks && el._ui.hooks.ref;
+  if (previousRef !== ref) {
+    setRef(previousRef, null);
+    ctx.pending.push(() => setRef(ref, el));
+  }
+}
+
+// Run removal hooks of a node and its descendants.
+// The nodes of portals inside of it are removed.
+function removed(node) {
+  if (node._portal !== undefined) {
+    removePortal(node);
+    return;
+  }
+  if (node.nodeType !== Node.ELEMENT_NODE) {
+    return;
+  }
+  const portals = document.createTreeWalker(node, NodeFilter.SHOW_COMMENT);
+  while (portals.nextNode()) {
+    if (portals.currentNode._portal !== undefined) {
+      removePortal(portals.currentNode);
+    }
+  }
+  const els = [node].concat(Array.from(node.querySelectorAll("*")));
+  for (const el of els) {
+    if (el._ui === undefined || el._ui.removed) {
+      continue;
+    }
+    el._ui.removed = true;
+    const hooks = el._ui.hooks;
+    if (hooks !== undefined) {
+      try {
+        hooks.onRemove && hooks.onRemove(el);
+        setRef(hooks.ref, null);
+      } catch (e) {
+        console.error(e);
+      }
+    }
+  }
+}
+
+function remove(node) {
+  const transition = transitionOf(node);
+  if (transition === undefined) {
+    removed(node);
+    node.remove();
+    return;
+  }
+  node._ui.leaving = true;
+  const { name } = transition;
+  if (name) {
+    node.classList.remove(`${name}-enter`, `${name}-enter-active`, `${name}-enter-to`);
+  }
+  runTransition(node, transition, "leave", () => {
+    removed(node);
+    node.remove();
+  });
+}
+
+function transitionOf(node) {
+  const hooks = node._ui && node._ui.hooks;
+  return hooks && hooks.transition;
+}
+
+function isLeaving(node) {
+  return node._ui !== undefined && node._ui.leaving === true;
+}
+
+// Children that are not on their way out.
+function liveChildren(el) {
+  return Array.from(el.childNodes).filter(node => !isLeaving(node));
+}
+
+function nextFrame(fn) {
+  window.requestAnimationFrame(() => window.requestAnimationFrame(fn));
+}
+
+// Milliseconds until the CSS transitions and animations of an element end.
+function cssDuration(el) {
+  const style = window.getComputedStyle(el);
+  const times = str => (str || "").split(",").map(t =>
+    t.trim().endsWith("ms") ? parseFloat(t) : (parseFloat(t) * 1000) || 0
+  );
+  const longest = (durations, delays) => Math.max(0, ...durations.map((d, i) =>
+    d + (delays[i % delays.length] || 0)
+  ));
+  return Math.max(
+    longest(times(style.transitionDuration), times(style.transitionDelay)),
+    longest(times(style.animationDuration), times(style.animationDelay))
+  );
+}
+
+function whenTransitionEnds(el, duration, done) {
+  let finished = false;
+  const finish = () => {
+    if (finished) return;
+    finished = true;
+    el.removeEventListener("transitionend", onEnd);
+    el.removeEventListener("animationend", onEnd);
+    done();
+  };
+  const onEnd = event => event.target === el && finish();
+
+  if (duration !== undefined) {
+    setTimeout(finish, duration);
+    return;
+  }
+  const timeout = cssDuration(el);
+  if (timeout <= 0) {
+    finish();
+    return;
+  }
+  el.addEventListener("transitionend", onEnd);
+  el.addEventListener("animationend", onEnd);
+  // in case the end events never fire.
+  setTimeout(finish, timeout + 50);
+}
+
+// phase : "enter" | "leave"
+function runTransition(el, transition, phase, done) {
+  const { name, duration } = transition;
+  const hook = phase === "enter" ? transition.onEnter : transition.onLeave;
+  const cls = suffix => `${name}-${phase}${suffix}`;
+
+  let remaining = (name ? 1 : 0) + (hook ? 1 : 0);
+  if (remaining === 0) {
+    done();
+    return;
+  }
+  const finish = () => --remaining === 0 && done();
+
+  if (name) {
+    el.classList.add(cls(""), cls("-active"));
+    nextFrame(() => {
+      el.classList.remove(cls(""));
+      el.classList.add(cls("-to"));
+      whenTransitionEnds(el, duration, () => {
+        el.classList.remove(cls("-active"), cls("-to"));
+        finish();
+      });
+    });
+  }
+
+  if (hook) {
+    let called = false;
+    hook(el, () => {
+      if (!called) {
+        called = true;
+        finish();
+      }
+    });
+  }
+}
+
+function modify(el, ctx, diff) {
+  for (const prop of diff.remove) {
+    const event = eventName(prop);
+    if (event === null) {
+      unsetProperty(prop, el);
+    } else {
+      delete el._ui.listeners[event];
+    }
+  }
+
+  for (const prop in diff.set) {
+    const value = diff.set[prop];
+    const event = eventName(prop);
+    (event === null)
+      ? setProperty(prop, value, el)
+      : setListener(el, event, value);
+  }
+
+  for (const name of diff.style.remove) {
+    el.style.removeProperty(cssName(name));
+  }
+
+  for (const name in diff.style.set) {
+    setStyle(el, name, diff.style.set[name]);
+  }
+
+  el.classList.remove(...diff.classes.remove);
+  el.classList.add(...diff.classes.add);
+
+  assert(diff.children.length >= liveChildren(el).length, "unmatched children lengths");
+  apply(el, ctx, diff.children);
+  syncSelect(el);
+
+  el._ui.maps = diff.maps;
+  const previous = el._ui.hooks;
+  el._ui.hooks = diff.hooks;
+  updated(ctx, el, previous);
+}
+
+// Apply a diff to a single node, returning the node that ends up in its place.
+function patch(el, ctx, diff) {
+  const action = Object.keys(diff)[0];
+  switch (action) {
+    case "modify":
+      modify(el, ctx, diff.modify);
+      return el;
+
+    case "replace": {
+      const child = create(ctx, diff.replace, childNamespace(el.parentNode));
+      removed(el);
+      el.replaceWith(child);
+      return child;
+    }
+
+    case "rehook": {
+      apply(el, ctx, diff.rehook.children);
+      const previous = el._ui.hooks;
+      el._ui.hooks = diff.rehook.hooks;
+      rehooked(ctx, el, previous);
+      return el;
+    }
+
+    case "virtual":
+      el._ui.virtual.list = diff.virtual;
+      el._ui.virtual.ctx = ctx;
+      renderRows(el, true);
+      return el;
+
+    case "portal": {
+      const portal = el._portal;
+      portal.node = patch(portal.node, ctx, diff.portal);
+      portal.node._portalOf = el;
+      return el;
+    }
+
+    case "noop":
+      return el;
+
+    default:
+      throw new Error("Unexpected diff option: " + Object.keys(diff));
+  }
+}
+
+function apply(el, ctx, childrenDiff) {
+  const children = liveChildren(el);
+  let cursor = 0;   // next child to be diffed by position
+  let prev = null;  // last child put in its final position
+
+  function place(child) {
+    let next = prev === null ? el.firstChild : prev.nextSibling;
+    while (next !== null && isLeaving(next)) {
+      next = next.nextSibling;
+    }
+    if (child !== next) {
+      el.insertBefore(child, next);
+    }
+    prev = child;
+  }
+
+  childrenDiff.forEach(diff => {
+    const action = Object.keys(diff)[0];
     switch (action) {
       case "remove":
-        children[i].remove();
+        remove(children[cursor]);
+        cursor++;
         break;
 
-      case "modify":
-        modify(children[i], enqueue, diff.modify);
+      case "drop":
+        remove(children[diff.drop]);
         break;
 
-      case "create": {
-        assert(i >= children.length, "adding to the middle of children", i, children.length);
-        const child = create(enqueue, diff.create);
-        el.appendChild(child);
+      case "create":
+        place(create(ctx, diff.create, childNamespace(el)));
         break;
-      }
 
-      case "replace": {
-        const child = create(enqueue, diff.replace);
-        children[i].replaceWith(child);
+      case "move":
+        place(patch(children[diff.move.from], ctx, diff.move.diff));
         break;
-      }
 
-      case "noop":
+      case "keep":
+        prev = patch(children[diff.keep.from], ctx, diff.keep.diff);
         break;
 
       default:
-        throw new Error("Unexpected diff option: " + Object.keys(diff));
+        prev = patch(children[cursor], ctx, diff);
+        cursor++;
+        break;
+    }
+  });
+}
+
+// -----------------------------------------------------------------------------
+// Server-side rendering
+
+const voidTags = new Set([ "area", "base", "br", "col", "embed", "hr", "img",
+  "input", "link", "meta", "source", "track", "wbr" ]);
+
+function escapeHtml(str) {
+  return String(str)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function renderAttribute(prop, value) {
+  if (value === undefined || eventName(prop) !== null) {
+    return "";
+  }
+  if (prop === "style" && isStyleObject(value)) {
+    return ` style="${escapeHtml(styleString(value))}"`;
+  }
+  if (prop === "class" && typeof value !== "string") {
+    return ` class="${escapeHtml(classTokens(value).join(" "))}"`;
+  }
+  switch (propertyKind(prop, true)) {
+    case "property": {
+      const name = prop === "defaultValue" ? "value" : prop.replace(/^default/, "").toLowerCase();
+      return (typeof domProperties[prop] === "boolean")
+        ? (value && name !== "indeterminate" ? ` ${name}` : "")
+        : (value === null ? "" : ` ${name}="${escapeHtml(value)}"`);
+    }
+
+    case "boolean":
+      return (value === false || value === null) ? "" : ` ${prop}`;
+
+    default:
+      return value === null ? "" : ` ${prop}="${escapeHtml(value)}"`;
+  }
+}
+
+function renderNode(vnode) {
+  assert(vnode instanceof VirtualNode, "Expected an instance of VirtualNode, found", vnode);
+  vnode = force(vnode);
+
+  if (vnode.text !== undefined) {
+    return escapeHtml(vnode.text);
+  }
+
+  // portals are rendered when the page is hydrated.
+  if (vnode.portal !== undefined) {
+    return "";
+  }
+
+  if (vnode.virtual !== undefined) {
+    return renderNode(virtualFrame(vnode.virtual, visibleRange(vnode.virtual, null)));
+  }
+
+  const { tag, properties, children } = vnode;
+  const isTextarea = tag.toLowerCase() === "textarea";
+  const attributes = Object.keys(properties)
+    .filter(prop => !(isTextarea && prop === "value"))
+    .map(prop => renderAttribute(prop, properties[prop]))
+    .join("");
+
+  if (voidTags.has(tag.toLowerCase())) {
+    return `<${tag}${attributes}>`;
+  }
+
+  const content = isTextarea && properties.value !== undefined
+    ? escapeHtml(properties.value)
+    : renderChildren(children);
+
+  return `<${tag}${attributes}>${content}</${tag}>`;
+}
+
+// Adjacent text nodes are separated by an empty comment so that
+// the browser doesn't parse them as a single text node.
+function renderChildren(vnodes) {
+  let previousIsText = false;
+  return vnodes.map(vnode => {
+    if (force(vnode).portal !== undefined) {
+      return "";
+    }
+    const isText = force(vnode).text !== undefined;
+    const separator = (previousIsText && isText) ? "<!---->" : "";
+    previousIsText = isText;
+    return separator + renderNode(vnode);
+  }).join("");
+}
+
+// Render virtual nodes to an HTML string. Does not require a DOM.
+function renderToString(vnodes) {
+  return renderChildren(flatten(vnodes));
+}
+
+// -----------------------------------------------------------------------------
+// Hydration
+
+function describe(node) {
+  return node === null
+    ? "nothing"
+    : node.nodeType === Node.TEXT_NODE
+    ? JSON.stringify(node.data)
+    : "<" + node.nodeName.toLowerCase() + ">";
+}
+
+function mismatch(mismatches, path, expected, found) {
+  const entry = { path, expected, found: describe(found) };
+  console.warn("SMVC hydration mismatch at", path, "expected", expected, "found", entry.found);
+  mismatches.push(entry);
+}
+
+// Adopt an existing DOM node as the rendering of a virtual node.
+// Returns the DOM node that ends up representing it.
+function hydrateNode(ctx, vnode, node, path, mismatches) {
+  assert(vnode instanceof VirtualNode, "Expected an instance of VirtualNode, found", vnode);
+  vnode = force(vnode);
+
+  if (vnode.virtual !== undefined) {
+    const range = visibleRange(vnode.virtual, null);
+    const frame = virtualFrame(vnode.virtual, range);
+    const el = hydrateNode(ctx, frame, node, path, mismatches);
+    watchScroll(ctx, el, vnode.virtual, frame, range);
+    return el;
+  }
+
+  if (vnode.text !== undefined) {
+    if (node.nodeType !== Node.TEXT_NODE) {
+      mismatch(mismatches, path, JSON.stringify(vnode.text), node);
+      const child = create(ctx, vnode, childNamespace(node.parentNode));
+      node.replaceWith(child);
+      return child;
+    }
+    if (node.data !== vnode.text) {
+      mismatch(mismatches, path, JSON.stringify(vnode.text), node);
+      node.data = vnode.text;
+    }
+    return node;
+  }
+
+  const sameTag = node.nodeType === Node.ELEMENT_NODE
+    && node.nodeName.toLowerCase() === vnode.tag.toLowerCase();
+
+  if (!sameTag) {
+    mismatch(mismatches, path, "<" + vnode.tag + ">", node);
+    const child = create(ctx, vnode, childNamespace(node.parentNode));
+    node.replaceWith(child);
+    return child;
+  }
+
+  node._ui = { listeners : {}, enqueue: ctx.enqueue, events: ctx.events, fields: ctx.fields, hooks: vnode.hooks, maps: vnode.maps };
+  if (node.nodeName.toLowerCase() === "textarea" && vnode.children.length === 0) {
+    node.textContent = "";
+  } else {
+    hydrateChildren(ctx, node, vnode.children, path, mismatches);
+  }
+  addProperties(node, vnode.properties);
+  created(ctx, node);
+  return node;
+}
+
+function hydrateChildren(ctx, el, vnodes, path, mismatches) {
+  Array.from(el.childNodes)
+    .filter(node => node.nodeType === Node.COMMENT_NODE)
+    .forEach(node => node.remove());
+
+  let node = el.firstChild;
+  vnodes.forEach((vnode, i) => {
+    const childPath = path + "/" + i;
+    if (force(vnode).text === "" && (node === null || node.nodeType !== Node.TEXT_NODE)) {
+      // empty text nodes are not present in rendered HTML.
+      el.insertBefore(create(ctx, vnode, childNamespace(el)), node);
+      return;
+    }
+    if (force(vnode).portal !== undefined) {
+      el.insertBefore(create(ctx, vnode, childNamespace(el)), node);
+      return;
+    }
+    if (node === null) {
+      mismatch(mismatches, childPath, "a node", node);
+      el.appendChild(create(ctx, vnode, childNamespace(el)));
+      return;
     }
+    node = hydrateNode(ctx, vnode, node, childPath, mismatches).nextSibling;
   });
+
+  while (node !== null) {
+    const next = node.nextSibling;
+    mismatch(mismatches, path + "/" + vnodes.length, "nothing", node);
+    node.remove();
+    node = next;
+  }
 }
 
 class VirtualNode {
@@ -214,7 +1728,10 @@ function h(tag, properties, children) {
   assert(typeof tag === "string", "Invalid tag value:", tag);
   assert(typeof properties === "object", "Expected properties object. Found:", properties);
   assert(Array.isArray(children), "Expected children array. Found:", children);
-  return new VirtualNode({ tag, properties, children });
+  const { key, onCreate, onUpdate, onRemove, ref, transition, ...rest } = properties;
+  const hasHooks = [onCreate, onUpdate, onRemove, ref, transition].some(hook => hook !== undefined);
+  const hooks = hasHooks ? { onCreate, onUpdate, onRemove, ref, transition } : undefined;
+  return new VirtualNode({ tag, properties: normaliseProperties(rest), children: flatten(children), key, hooks });
 }
 
 // Create a text element description (a virtual text node)
@@ -222,49 +1739,2011 @@ function text(content) {
   return new VirtualNode({ text: content });
 }
 
-// Start managing the contents of an HTML element.
-function init(root, initialState, update, view) {
-  let state = initialState; // client application state
-  let nodes = []; // virtual DOM nodes
-  let queue = []; // msg queue
+// Create a node that renders `fallback(error)` instead of the result of
+// `render()` when rendering or diffing that result throws an error.
+function boundary(render, fallback) {
+  assert(typeof render === "function", "Expected a function. Found:", render);
+  assert(typeof fallback === "function", "Expected a function. Found:", fallback);
+  return new VirtualNode({ boundary: { render, fallback } });
+}
 
-  function enqueue(msg) {
-    queue.push(msg);
-  }
+// Create a node that is only rendered and diffed when any of its
+// arguments changes. Arguments are compared by reference.
+// Lazy nodes have no key of their own, and `fn` must return a single
+// node, as a fragment can only be replaced by its children once rendered.
+function lazy(fn, ...args) {
+  assert(typeof fn === "function", "Expected a function. Found:", fn);
+  return new VirtualNode({ lazy: { fn, args } });
+}
 
-  // draws the current state
-  function draw() {
-    let newNodes = view(state);
-    apply(root, enqueue, diffList(nodes, newNodes));
-    nodes = newNodes;
-  }
+// Create a node that renders many sibling nodes without an element around them.
+function fragment(children, key) {
+  return new VirtualNode({ fragment: flatten(children), key });
+}
 
-  function updateState() {
-    if (queue.length > 0) {
-      let msgs = queue;
-      queue = [];
+// Create a node that renders `vnode` at the end of the `container`
+// element instead of in its place. Use an element to render many nodes.
+function portal(container, vnode) {
+  assert(container !== null && typeof container === "object" && container.nodeType === 1,
+    "Expected a container element. Found:", container);
+  assert(vnode instanceof VirtualNode && vnode.fragment === undefined,
+    "Expected a single VirtualNode, found", vnode);
+  return new VirtualNode({ portal: { container, node: vnode }, key: vnode.key });
+}
 
-      msgs.forEach(msg => {
-        try {
-          state = update(state, msg, enqueue);
-        } catch (e) {
-          console.error(e);
-        }
-      });
+// Create a list that only renders the rows in view.
+//
+//    virtualList({ class: "log" }, { count: 10000, itemHeight: 20, height: 400,
+//      render: i => h("div", {}, [ text(lines[i]) ]) })
+//
+function virtualList(properties, { count, itemHeight, render, overscan = 5, height }) {
+  assert(typeof properties === "object", "Expected properties object. Found:", properties);
+  assert(typeof count === "number" && count >= 0, "Expected a number of rows. Found:", count);
+  assert(typeof itemHeight === "number" && itemHeight > 0, "Expected a row height. Found:", itemHeight);
+  assert(typeof render === "function", "Expected a function. Found:", render);
+  const { key, ...rest } = properties;
+  return new VirtualNode({ virtual: { properties: rest, count, itemHeight, render, overscan, height }, key });
+}
+
+function withKey(vnode, key) {
+  return new VirtualNode(Object.assign({}, vnode, { key }));
+}
 
-      draw();
+// Replace fragments with their children.
+function flatten(vnodes) {
+  assert(Array.isArray(vnodes), "Expected an array, found", vnodes);
+  if (!vnodes.some(vnode => vnode instanceof VirtualNode && vnode.fragment !== undefined)) {
+    return vnodes;
+  }
+  const result = [];
+  vnodes.forEach(vnode => {
+    if (!(vnode instanceof VirtualNode) || vnode.fragment === undefined) {
+      result.push(vnode);
+      return;
     }
+    vnode.fragment.forEach((child, i) => {
+      result.push(vnode.key === undefined
+        ? child
+        : withKey(child, vnode.key + ":" + (child.key === undefined ? i : child.key)));
+    });
+  });
+  return result;
+}
 
-    window.requestAnimationFrame(updateState);
+// Create a node that turns the messages of the handlers inside of
+// `vnode` into other messages with `fn`. This is how the view of a
+// nested program is embedded in the view of the program containing it.
+// Mapped nodes keep the key of `vnode`. Mapping a fragment maps each of
+// its children.
+function map(fn, vnode) {
+  assert(typeof fn === "function", "Expected a function. Found:", fn);
+  assert(vnode instanceof VirtualNode, "Expected an instance of VirtualNode, found", vnode);
+  if (vnode.fragment !== undefined) {
+    return fragment(vnode.fragment.map(child => map(fn, child)), vnode.key);
   }
+  return new VirtualNode({ map: { fn, node: vnode }, key: vnode.key });
+}
 
-  draw();
-  updateState();
+class Command {
+  constructor(any) { Object.assign(this, any) }
+}
+
+// Commands describe side effects for the runtime to perform after the view
+// is drawn. They are returned from `update` alongside the new state as
+// `[state, command]`. Effects produce messages by calling `enqueue`.
+const cmd = {
+  none: new Command({ none: true }),
+
+  // Focus the first element inside the root matching a CSS selector,
+  // placing the caret at the end of text fields.
+  focus(selector) {
+    assert(typeof selector === "string", "Expected a selector string. Found:", selector);
+    return new Command({ focus: selector });
+  },
+
+  // Enqueue a message after some milliseconds.
+  delay(ms, msg) {
+    assert(typeof ms === "number", "Expected a number of milliseconds. Found:", ms);
+    return new Command({ delay: { ms, msg } });
+  },
+
+  // Send a request using the program's transport.
+  fetch(request, toMsg) {
+    assert(typeof toMsg === "function", "Expected a function. Found:", toMsg);
+    return new Command({ fetch: { request, toMsg } });
+  },
+
+  // Generate a random number in [0, 1).
+  random(toMsg) {
+    assert(typeof toMsg === "function", "Expected a function. Found:", toMsg);
+    return new Command({ random: toMsg });
+  },
 
-  return { enqueue };
+  batch(commands) {
+    assert(Array.isArray(commands), "Expected an array of commands. Found:", commands);
+    return new Command({ batch: commands });
+  },
+
+  // Turn the messages a command produces into other messages.
+  map(fn, command) {
+    assert(typeof fn === "function", "Expected a function. Found:", fn);
+    assert(command instanceof Command, "Expected an instance of Command, found", command);
+    return command.none ? command : new Command({ map: { fn, command } });
+  },
+};
+
+// The default transport. A request is an object with a `url`, any
+// options accepted by `window.fetch`, and an optional `expect` of
+// "json" (the default) or "text" saying how to read the response body.
+function fetchTransport(request) {
+  const { url, expect, ...options } = request;
+  return fetch(url, options).then(response => {
+    if (!response.ok) {
+      throw new Error(`Request to ${url} failed with status ${response.status}`);
+    }
+    return expect === "text" ? response.text() : response.json();
+  });
+}
+
+// Separate the state from the command in the return value of `update`.
+function fromUpdate(result) {
+  return (Array.isArray(result) && result.length === 2 && result[1] instanceof Command)
+    ? result
+    : [result, cmd.none];
+}
+
+function focusElement(root, selector) {
+  const el = root.querySelector(selector);
+  if (el === null) {
+    console.warn("No element to focus matching", selector);
+    return;
+  }
+  el.focus();
+  if (typeof el.value === "string" && el.selectionStart != null) {
+    const end = el.value.length;
+    el.setSelectionRange(end, end);
+  }
+}
+
+// Env
+//    = { focus : string -> ()
+//      , enqueue : Msg -> ()
+//      , transport : any -> Promise any
+//      , random : () -> number
+//      , report : Error -> ()     -- for failures after `execute` returned
+//      }
+function execute(command, env) {
+  assert(command instanceof Command, "Expected an instance of Command, found", command);
+  const { focus, enqueue, transport, random, report } = env;
+  const action = Object.keys(command)[0];
+  switch (action) {
+    case "none":
+      break;
+
+    case "focus":
+      focus(command.focus);
+      break;
+
+    case "delay": {
+      const { ms, msg } = command.delay;
+      setTimeout(() => {
+        try {
+          enqueue(msg);
+        } catch (e) {
+          report(e);
+        }
+      }, ms);
+      break;
+    }
+
+    case "fetch": {
+      const { request, toMsg } = command.fetch;
+      Promise.resolve()
+        .then(() => transport(request))
+        .then(ok => ({ ok }), error => ({ error }))
+        .then(result => enqueue(toMsg(result)))
+        .catch(report);
+      break;
+    }
+
+    case "random":
+      enqueue(command.random(random()));
+      break;
+
+    case "batch":
+      command.batch.forEach(c => execute(c, env));
+      break;
+
+    case "map": {
+      const { fn, command: mapped } = command.map;
+      execute(mapped, Object.assign({}, env, {
+        enqueue: msg => {
+          const result = fn(msg);
+          if (result !== undefined) {
+            enqueue(result);
+          }
+        },
+      }));
+      break;
+    }
+
+    default:
+      throw new Error("Unexpected command: " + Object.keys(command));
+  }
+}
+
+class Subscription {
+  constructor(any) { Object.assign(this, any) }
+}
+
+// Subscriptions describe event sources outside of the rendered tree.
+// They are returned by the `subscriptions` option of `init` and are
+// started and stopped by the runtime as the returned list changes.
+const sub = {
+  // Listen to an event on `window` or `document`. A `toMsg` return value
+  // of `undefined` is ignored.
+  on(target, name, toMsg) {
+    assert(target === "window" || target === "document", "Expected \"window\" or \"document\". Found:", target);
+    assert(typeof name === "string", "Expected an event name. Found:", name);
+    assert(typeof toMsg === "function", "Expected a function. Found:", toMsg);
+    return new Subscription({ event: { target, name, toMsg } });
+  },
+
+  // Receive the current time every some milliseconds.
+  every(ms, toMsg) {
+    assert(typeof ms === "number", "Expected a number of milliseconds. Found:", ms);
+    assert(typeof toMsg === "function", "Expected a function. Found:", toMsg);
+    return new Subscription({ every: { ms, toMsg } });
+  },
+
+  // Turn the messages a subscription produces into other messages.
+  map(fn, subscription) {
+    assert(typeof fn === "function", "Expected a function. Found:", fn);
+    assert(subscription instanceof Subscription, "Expected an instance of Subscription, found", subscription);
+    const action = Object.keys(subscription)[0];
+    const { toMsg } = subscription[action];
+    return new Subscription({ [action]: Object.assign({}, subscription[action], {
+      toMsg: value => {
+        const msg = toMsg(value);
+        return msg === undefined ? undefined : fn(msg);
+      },
+    }) });
+  },
+};
+
+// Delegate messages to the `update` of a nested program whose state is
+// part of the state of the program containing it. Returns an `update`
+// function taking messages of the nested program:
+//
+//    const editor = nest({
+//      update: Editor.update,
+//      get: state => state.editor,
+//      set: (state, editor) => Object.assign({}, state, { editor }),
+//      wrap: msg => ({ Editor: msg }),
+//    });
+//
+//    // in the update of the containing program
+//    case "Editor": return editor(state, msg.Editor, enqueue);
+//
+//    // in its view
+//    map(msg => ({ Editor: msg }), fragment(Editor.view(state.editor)))
+//
+// Commands and messages enqueued by the nested program are wrapped with `wrap`.
+function nest({ update, get, set, wrap }) {
+  assert(typeof update === "function", "Expected an update function. Found:", update);
+  return (state, msg, enqueue) => {
+    const send = enqueue === undefined ? undefined : childMsg => enqueue(wrap(childMsg));
+    const [child, command] = fromUpdate(update(get(state), msg, send));
+    return [ set(state, child), cmd.map(wrap, command) ];
+  };
+}
+
+// Subscriptions are matched between runs by what they listen to
+// and not by their `toMsg` function, which can change freely.
+function subscriptionId(subscription) {
+  const action = Object.keys(subscription)[0];
+  switch (action) {
+    case "event": {
+      const { target, name } = subscription.event;
+      return `event:${target}:${name}`;
+    }
+
+    case "every":
+      return `every:${subscription.every.ms}`;
+
+    default:
+      throw new Error("Unexpected subscription: " + Object.keys(subscription));
+  }
+}
+
+// Listen to an event on "window" or "document". Returns a function to stop.
+function listenTo(target, name, send) {
+  const el = target === "window" ? window : document;
+  el.addEventListener(name, send);
+  return () => el.removeEventListener(name, send);
+}
+
+// Start an underlying listener. Returns the active subscription.
+function subscribe(subscription, enqueue, report, listen) {
+  const action = Object.keys(subscription)[0];
+  const active = { toMsg: subscription[action].toMsg, stop: null };
+  const send = value => {
+    let msg;
+    try {
+      msg = active.toMsg(value);
+    } catch (e) {
+      report(e);
+      return;
+    }
+    if (msg !== undefined) {
+      enqueue(msg);
+    }
+  };
+
+  switch (action) {
+    case "event": {
+      const { target, name } = subscription.event;
+      active.stop = listen(target, name, send);
+      break;
+    }
+
+    case "every": {
+      const interval = setInterval(() => send(Date.now()), subscription.every.ms);
+      active.stop = () => clearInterval(interval);
+      break;
+    }
+  }
+
+  return active;
+}
+
+// Start and stop listeners to match a new list of subscriptions.
+// `active` maps ids to active subscriptions and is updated in place.
+function diffSubscriptions(active, subscriptions, enqueue, report, listen = listenTo) {
+  assert(Array.isArray(subscriptions), "Expected an array of subscriptions. Found:", subscriptions);
+  const wanted = new Map();
+  subscriptions.forEach(subscription => {
+    assert(subscription instanceof Subscription, "Expected an instance of Subscription, found", subscription);
+    const id = subscriptionId(subscription);
+    let n = 0;
+    while (wanted.has(id + "#" + n)) n++;
+    wanted.set(id + "#" + n, subscription);
+  });
+
+  for (const [id, running] of active) {
+    if (!wanted.has(id)) {
+      running.stop();
+      active.delete(id);
+    }
+  }
+
+  for (const [id, subscription] of wanted) {
+    const running = active.get(id);
+    if (running === undefined) {
+      active.set(id, subscribe(subscription, enqueue, report, listen));
+    } else {
+      const action = Object.keys(subscription)[0];
+      running.toMsg = subscription[action].toMsg;
+    }
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Debugger
+
+const debuggerStyle = `
+  position: fixed;
+  bottom: 0;
+  right: 0;
+  width: 22em;
+  max-height: 50vh;
+  overflow: auto;
+  z-index: 2147483647;
+  background: #fff;
+  border: 1px solid #999;
+  font: 12px monospace;
+  color: #222;
+`;
+
+function summarise(value) {
+  let str;
+  try {
+    str = JSON.stringify(value);
+  } catch (_) {
+    str = String(value);
+  }
+  str = str === undefined ? String(value) : str;
+  return str.length > 60 ? str.slice(0, 57) + "..." : str;
+}
+
+// Keeps a bounded history of messages and the states they produced,
+// renders an overlay to travel through it, and exports and imports
+// sessions to replay them. While showing a past state new messages
+// stay queued, and they are processed once the program is live again.
+//
+// Sessions are JSON objects of the form
+//    { initialState : state, messages : [Msg] }
+// and therefore only support serialisable states and messages.
+function createDebugger(config, program) {
+  const { update, draw, getState, setState, live } = program;
+  const maxHistory = config.maxHistory || 1000;
+
+  let base = getState(); // state before the first entry
+  let entries = [];      // [{ id : int, msg : Msg, state : state, error : string | undefined }]
+  let cursor = null;     // index of the entry shown, -1 for `base`, null when live
+  let nextId = 0;
+
+  function record(msg, state, error) {
+    entries.push({ id: nextId++, msg, state, error: error && String(error.stack || error) });
+    if (entries.length > maxHistory) {
+      base = entries.shift().state;
+      if (cursor !== null) {
+        cursor = Math.max(-1, cursor - 1);
+      }
+    }
+    refresh();
+  }
+
+  function isTravelling() {
+    return cursor !== null;
+  }
+
+  function goTo(index) {
+    if (index === null || index >= entries.length - 1) {
+      cursor = null;
+      draw(getState());
+      live();
+    } else {
+      cursor = Math.max(-1, index);
+      draw(cursor < 0 ? base : entries[cursor].state);
+    }
+    refresh();
+  }
+
+  function exportSession() {
+    return JSON.stringify({ initialState: base, messages: entries.map(e => e.msg) });
+  }
+
+  // Replace the history with the one in a session, replaying its messages
+  // from its initial state. Commands are not performed and messages
+  // enqueued by `update` are ignored, as they are part of the session.
+  function importSession(json) {
+    const session = JSON.parse(json);
+    assert(Array.isArray(session.messages), "Invalid session. Expected a messages array. Found:", session.messages);
+    base = session.initialState;
+    entries = [];
+    cursor = null;
+    let state = base;
+    session.messages.forEach(msg => {
+      try {
+        state = fromUpdate(update(state, msg, () => {}))[0];
+        record(msg, state);
+      } catch (e) {
+        record(msg, state, e);
+      }
+    });
+    setState(state);
+    goTo(null);
+  }
+
+  function download() {
+    const blob = new Blob([exportSession()], { type: "application/json" });
+    const a = document.createElement("a");
+    a.href = URL.createObjectURL(blob);
+    a.download = "smvc-session.json";
+    a.click();
+    URL.revokeObjectURL(a.href);
+  }
+
+  function upload(input) {
+    const file = input.files[0];
+    if (file !== undefined) {
+      file.text().then(importSession).catch(e => console.error(e));
+    }
+    input.value = "";
+  }
+
+  // the overlay is itself an SMVC program
+  function snapshot() {
+    return { entries, cursor };
+  }
+
+  function overlayUpdate(s, msg) {
+    const action = Object.keys(msg)[0];
+    switch (action) {
+      case "refresh": return Object.assign({}, msg.refresh, { open: s.open });
+      case "toggle": return Object.assign({}, s, { open: !s.open });
+      case "goTo": goTo(msg.goTo); return s;
+      case "export": download(); return s;
+      case "import": upload(msg.import); return s;
+    }
+    return s;
+  }
+
+  function overlayView(s) {
+    const current = s.cursor === null ? s.entries.length - 1 : s.cursor;
+    const button = (label, msg) =>
+      h("button", { type: "button", onClick: () => msg }, [ text(label) ]);
+
+    const header = h("div", { style: "padding: 0.5em; border-bottom: 1px solid #999" }, [
+      h("strong", { onClick: () => ({ toggle: true }), style: "cursor: pointer" }, [
+        text(`SMVC debugger (${s.entries.length})`)
+      ]),
+      text(s.cursor === null ? " live" : " paused"),
+    ]);
+
+    if (!s.open) {
+      return [ header ];
+    }
+
+    return [
+      header,
+      h("div", { style: "padding: 0.5em" }, [
+        button("◀", { goTo: current - 1 }),
+        button("▶", { goTo: current + 1 }),
+        button("Live", { goTo: null }),
+        button("Export", { export: true }),
+        h("input", { type: "file", accept: "application/json", onChange: e => ({ import: e.target }) }, []),
+      ]),
+      h("ol", { start: "0", style: "margin: 0; padding: 0 0 0.5em 3em" },
+        [ h("li", { key: "initial", onClick: () => ({ goTo: -1 }),
+              style: current === -1 ? "background: #ddd" : "" }, [ text("(initial state)") ])
+        ].concat(s.entries.map((entry, i) =>
+          h("li", {
+            key: entry.id,
+            title: entry.error || "",
+            onClick: () => ({ goTo: i }),
+            style: (i === current ? "background: #ddd;" : "") + (entry.error ? "color: #c00" : ""),
+          }, [ text(summarise(entry.msg)) ])
+        ))
+      ),
+    ];
+  }
+
+  let overlay = null;
+
+  function refresh() {
+    if (overlay !== null) {
+      overlay.enqueue({ refresh: snapshot() });
+    }
+  }
+
+  let container = null;
+
+  if (config.overlay !== false) {
+    container = document.createElement("div");
+    container.setAttribute("style", debuggerStyle);
+    document.body.appendChild(container);
+    const initial = Object.assign(snapshot(), { open: true });
+    overlay = init(container, initial, overlayUpdate, overlayView);
+  }
+
+  function destroy() {
+    if (overlay !== null) {
+      overlay.destroy();
+      container.remove();
+      overlay = null;
+    }
+  }
+
+  return {
+    record,
+    isTravelling,
+    destroy,
+    api: {
+      goTo,
+      live: () => goTo(null),
+      history: () => entries.map(({ msg, state, error }) => ({ msg, state, error })),
+      exportSession,
+      importSession,
+    },
+  };
+}
+
+// -----------------------------------------------------------------------------
+// Development mode
+//
+// With the `dev` option, views are checked before they are diffed, and
+// the plain objects and arrays of each state are copied so that changes
+// made to them in place by `update` or `view` are reported with their
+// path. Without the option nothing is checked.
+
+function describeValue(value) {
+  return value === null
+    ? "null"
+    : Array.isArray(value)
+    ? `an array (${summarise(value)})`
+    : typeof value === "object"
+    ? `an object (${summarise(value)})`
+    : typeof value === "function"
+    ? "a function"
+    : `${typeof value} ${summarise(value)}`;
+}
+
+function viewError(path, message) {
+  return new Error(`Invalid view at ${path}: ${message}`);
+}
+
+function labelOf(vnode, index) {
+  vnode = isDeferred(vnode) ? force(vnode) : vnode;
+  const name = vnode.tag !== undefined
+    ? vnode.tag
+    : vnode.text !== undefined
+    ? "text"
+    : vnode.portal !== undefined
+    ? "portal"
+    : "virtualList";
+  return vnode.key !== undefined
+    ? `${name}[key=${JSON.stringify(vnode.key)}]`
+    : `${name}[${index}]`;
+}
+
+// Property names of elements by tag, in lower case.
+const elementProperties = new Map();
+const unknownWarnings = new Set();
+
+function isKnownProperty(tag, prop) {
+  if (prop === "style" || prop === "class" || prop === "role" || prop.indexOf("-") >= 0
+    || domProperties[prop] !== undefined || booleanAttributes.has(prop)
+    || Object.values(attributeAliases).includes(prop)) {
+    return true;
+  }
+  if (!elementProperties.has(tag)) {
+    const names = new Set();
+    for (const name in document.createElement(tag)) {
+      names.add(name.toLowerCase());
+    }
+    elementProperties.set(tag, names);
+  }
+  return elementProperties.get(tag).has(prop.toLowerCase());
+}
+
+function isDecoder(decoder) {
+  return typeof decoder === "function"
+    || (Array.isArray(decoder)
+      ? decoder.every(field => typeof field === "string" || typeof field === "number")
+      : typeof decoder === "object" && decoder !== null && Object.values(decoder).every(isDecoder));
+}
+
+function validateProperties(tag, ns, properties, path) {
+  for (const prop in properties) {
+    const value = properties[prop];
+    if (eventName(prop) !== null) {
+      const isHandler = typeof value === "function"
+        || (typeof value === "object" && value !== null && typeof value.handler === "function");
+      if (!isHandler) {
+        throw viewError(path, `"${prop}" must be a function or a handler object, found ${describeValue(value)}`);
+      }
+      if (typeof value === "object" && value.decoder !== undefined && !isDecoder(value.decoder)) {
+        throw viewError(path, `the decoder of "${prop}" must be a path, an object of decoders or a function, found ${describeValue(value.decoder)}`);
+      }
+      continue;
+    }
+    // only HTML elements have a fixed set of properties.
+    const isChecked = ns === namespaces.html && tag.indexOf("-") < 0 && typeof document !== "undefined";
+    if (isChecked && !isKnownProperty(tag, prop) && !unknownWarnings.has(tag + " " + prop)) {
+      unknownWarnings.add(tag + " " + prop);
+      console.warn(`${path}: unknown property "${prop}" for <${tag}>`);
+    }
+  }
+}
+
+function validateNode(vnode, path, ns) {
+  vnode = force(vnode);
+
+  if (vnode.text !== undefined) {
+    if (typeof vnode.text !== "string" && typeof vnode.text !== "number") {
+      throw viewError(path, `text must be a string or a number, found ${describeValue(vnode.text)}`);
+    }
+    return;
+  }
+
+  if (vnode.portal !== undefined) {
+    validateNode(vnode.portal.node, `${path} > ${labelOf(vnode.portal.node, 0)}`, namespaces.html);
+    return;
+  }
+
+  if (vnode.virtual !== undefined) {
+    validateProperties("div", ns, vnode.virtual.properties, path);
+    return;
+  }
+
+  const elementNs = elementNamespace(vnode.tag, ns);
+  validateProperties(vnode.tag, elementNs, vnode.properties, path);
+  validateChildren(vnode.children, path,
+    vnode.tag === "foreignObject" ? namespaces.html : elementNs);
+}
+
+function validateChildren(children, path, ns) {
+  const keys = new Map(); // index of the child with each key
+  flatten(children).forEach((child, i) => {
+    if (!(child instanceof VirtualNode)) {
+      const hint = (typeof child === "string" || typeof child === "number")
+        ? ` Use text(${JSON.stringify(child)}) for text.`
+        : "";
+      throw viewError(`${path} > [${i}]`, `expected a VirtualNode, found ${describeValue(child)}.${hint}`);
+    }
+    const at = `${path} > ${labelOf(child, i)}`;
+    if (child.key !== undefined) {
+      if (keys.has(child.key)) {
+        throw viewError(at, `the key ${JSON.stringify(child.key)} is also used by child ${keys.get(child.key)}`);
+      }
+      keys.set(child.key, i);
+    }
+    validateNode(child, at, ns);
+  });
+}
+
+// Whether a value is a plain object or an array, whose fields development
+// mode watches for changes in place.
+function isPlain(value) {
+  if (value === null || typeof value !== "object") {
+    return false;
+  }
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === Array.prototype || proto === null;
+}
+
+// StateSnapshot
+//    = { value : any, fields : Map key StateSnapshot | undefined }
+//
+// The fields of plain objects and arrays as they were when the snapshot was taken.
+function stateSnapshot(value, seen = new Map()) {
+  if (!isPlain(value)) {
+    return { value, fields: undefined };
+  }
+  if (seen.has(value)) {
+    return seen.get(value);
+  }
+  const node = { value, fields: new Map() };
+  seen.set(value, node);
+  for (const key of Object.keys(value)) {
+    node.fields.set(key, stateSnapshot(value[key], seen));
+  }
+  return node;
+}
+
+function fieldPath(path, container, key) {
+  return Array.isArray(container)
+    ? `${path}[${key}]`
+    : /^[A-Za-z_$][\w$]*$/.test(key)
+    ? `${path}.${key}`
+    : `${path}[${JSON.stringify(key)}]`;
+}
+
+// The path of the first field changed since the snapshot, or null.
+function changedPath(node, path, visited = new Set()) {
+  if (node.fields === undefined || visited.has(node)) {
+    return null;
+  }
+  visited.add(node);
+  const live = node.value;
+  const keys = new Set([ ...node.fields.keys(), ...Object.keys(live) ]);
+  for (const key of keys) {
+    const field = node.fields.get(key);
+    const at = fieldPath(path, live, key);
+    if (field === undefined || !Object.prototype.hasOwnProperty.call(live, key) || !Object.is(field.value, live[key])) {
+      return at;
+    }
+    const changed = changedPath(field, at, visited);
+    if (changed !== null) {
+      return changed;
+    }
+  }
+  return null;
+}
+
+// `update` and `view` with the checks of development mode.
+function withChecks(initialState, update, view) {
+  const snapshots = new WeakMap(); // of the states returned so far
+  const check = (state, what, during = "") => {
+    const node = isPlain(state) && snapshots.get(state);
+    const path = node ? changedPath(node, "state") : null;
+    if (path !== null) {
+      remember(state); // report each change once
+      throw new Error(`${what} changed ${path} in place${during}. Return a changed copy of the state instead.`);
+    }
+  };
+  const remember = state => {
+    if (isPlain(state)) {
+      snapshots.set(state, stateSnapshot(state));
+    }
+  };
+  remember(initialState);
+
+  const checkedUpdate = (state, msg, enqueue) => {
+    const result = update(state, msg, enqueue);
+    check(state, "update", ` while handling ${summarise(msg)}`);
+    remember(fromUpdate(result)[0]);
+    return result;
+  };
+
+  const checkedView = state => {
+    const vnodes = view(state);
+    check(state, "view");
+    if (!Array.isArray(vnodes)) {
+      throw viewError("view()", `expected an array of nodes, found ${describeValue(vnodes)}`);
+    }
+    validateChildren(vnodes, "view()", namespaces.html);
+    return vnodes;
+  };
+
+  return [ checkedUpdate, checkedView ];
+}
+
+// Start managing the contents of an HTML element.
+//
+// Options
+//    = { transport : request -> Promise any          -- performs `cmd.fetch` requests
+//      , random : () -> number                       -- performs `cmd.random`
+//      , subscriptions : state -> [Subscription]     -- external event sources
+//      , debug : boolean | { maxHistory : int, overlay : boolean }  -- record messages for time travel
+//      , onError : (Error, ErrorInfo) -> ()          -- defaults to logging the error
+//      , dev : boolean                               -- check views and changes to states in
+//                                                    -- place. Slower
+//      }
+//
+// ErrorInfo
+//    = { phase : "update" | "view" | "apply" | "command" | "subscriptions" | "runtime"
+//      , state : state   -- the state being updated or drawn
+//      , msg : Msg       -- for errors in "update"
+//      }
+//
+// Program
+//    = { enqueue : Msg -> ()        -- queue a message to be processed on the next frame
+//      , dispatchSync : Msg -> ()   -- queue a message and process the queue right away
+//      , flush : () -> ()           -- process the queued messages right away
+//      , getState : () -> state
+//      , pause : () -> ()           -- stop processing messages, `flush` and `dispatchSync`
+//                                   -- included. They stay queued
+//      , resume : () -> ()
+//      , destroy : () -> ()         -- stop the program and remove all it added to the page
+//      , debug : DebugApi           -- only in debug mode
+//      }
+//
+// Messages are processed on the animation frame after they are queued.
+// Messages queued while processing are left for the following frame.
+//
+// Errors never stop the program. A failing `update` leaves the state
+// unchanged, a failing `view` leaves the page as it was, and after a
+// failure applying changes to the page the root is rendered from scratch.
+function init(root, initialState, update, view, options = {}) {
+  return run(root, initialState, update, view, options, (ctx, nodes) =>
+    apply(root, ctx, diffList([], nodes))
+  );
+}
+
+// Start managing an HTML element whose contents were rendered with
+// `renderToString`, reusing the existing DOM nodes. Differences between
+// the existing content and the initial view are reported and fixed.
+function hydrate(root, initialState, update, view, options = {}) {
+  const mismatches = [];
+  const program = run(root, initialState, update, view, options, (ctx, nodes) =>
+    hydrateChildren(ctx, root, nodes, "", mismatches)
+  );
+  return Object.assign(program, { mismatches });
+}
+
+function reportError(options, error, info) {
+  try {
+    (options.onError || ((e, _) => console.error(e)))(error, info);
+  } catch (e) {
+    console.error(e);
+  }
+}
+
+// Run the hooks collected while applying a diff, once controlled fields
+// show their values.
+function runPending(ctx) {
+  syncFields(ctx);
+  const pending = ctx.pending;
+  ctx.pending = [];
+  pending.forEach(hook => {
+    try {
+      hook();
+    } catch (e) {
+      console.error(e);
+    }
+  });
+}
+
+function run(root, initialState, update, view, options, mount) {
+  if (options.dev) {
+    [ update, view ] = withChecks(initialState, update, view);
+  }
+  let state = initialState; // client application state
+  let nodes = []; // virtual DOM nodes
+  let queue = []; // msg queue
+  let frame = null; // pending animation frame request
+  let paused = false;
+  let destroyed = false;
+  let processing = false;
+  let debug = null; // time travelling debugger, when enabled
+
+  function enqueue(msg) {
+    if (destroyed) {
+      return;
+    }
+    queue.push(msg);
+    schedule();
+  }
+
+  function schedule() {
+    if (frame === null && !paused && !destroyed && !isTravelling() && queue.length > 0) {
+      frame = window.requestAnimationFrame(() => {
+        frame = null;
+        updateState();
+      });
+    }
+  }
+
+  const ctx = { enqueue, events: delegator(root), fields: new Set(), pending: [] };
+
+  const report = (error, info) => reportError(options, error, info);
+
+  // remove everything from the root
+  function reset() {
+    Array.from(root.childNodes).forEach(node => {
+      removed(node);
+      node.remove();
+    });
+    nodes = [];
+    ctx.pending = [];
+  }
+
+  const runHooks = () => runPending(ctx);
+
+  const env = {
+    focus: selector => focusElement(root, selector),
+    enqueue,
+    transport: options.transport || fetchTransport,
+    random: options.random || Math.random,
+    report: e => report(e, { phase: "command", state }),
+  };
+
+  const subscriptions = new Map(); // active subscriptions by id
+
+  const reportSubscription = e => report(e, { phase: "subscriptions", state });
+
+  function updateSubscriptions() {
+    if (options.subscriptions !== undefined) {
+      try {
+        diffSubscriptions(subscriptions, options.subscriptions(state), enqueue, reportSubscription);
+      } catch (e) {
+        report(e, { phase: "subscriptions", state });
+      }
+    }
+  }
+
+  // draws the current state
+  function draw(shown = state) {
+    let newNodes;
+    try {
+      newNodes = flatten(view(shown));
+    } catch (e) {
+      report(e, { phase: "view", state: shown });
+      return;
+    }
+
+    try {
+      apply(root, ctx, diffList(nodes, newNodes));
+      nodes = newNodes;
+    } catch (e) {
+      report(e, { phase: "apply", state: shown });
+      reset();
+      try {
+        apply(root, ctx, diffList([], newNodes));
+        nodes = newNodes;
+      } catch (e) {
+        report(e, { phase: "apply", state: shown });
+        reset();
+      }
+    }
+    runHooks();
+  }
+
+  function cancelFrame() {
+    if (frame !== null) {
+      window.cancelAnimationFrame(frame);
+      frame = null;
+    }
+  }
+
+  function updateState() {
+    if (paused) {
+      return;
+    }
+    processing = true;
+    try {
+      processQueue();
+    } catch (e) {
+      report(e, { phase: "runtime", state });
+    }
+    processing = false;
+    schedule();
+  }
+
+  // Process queued messages now. Calls from within `update` leave the
+  // messages for the next frame, and calls while paused leave them queued.
+  function flush() {
+    if (destroyed || paused || processing) {
+      return;
+    }
+    cancelFrame();
+    updateState();
+  }
+
+  function destroy() {
+    if (destroyed) {
+      return;
+    }
+    destroyed = true;
+    cancelFrame();
+    queue = [];
+    for (const running of subscriptions.values()) {
+      running.stop();
+    }
+    subscriptions.clear();
+    ctx.events.destroy();
+    reset();
+    debug !== null && debug.destroy();
+  }
+
+  // the debugger is showing a past state
+  function isTravelling() {
+    return debug !== null && debug.isTravelling();
+  }
+
+  function processQueue() {
+    if (queue.length > 0) {
+      let msgs = queue;
+      queue = [];
+      let commands = [];
+
+      for (let i = 0; i < msgs.length; i++) {
+        if (isTravelling()) {
+          // kept for when the program is live again
+          queue = msgs.slice(i).concat(queue);
+          break;
+        }
+        const msg = msgs[i];
+        try {
+          const [newState, command] = fromUpdate(update(state, msg, enqueue));
+          state = newState;
+          commands.push(command);
+          debug !== null && debug.record(msg, state);
+        } catch (e) {
+          report(e, { phase: "update", state, msg });
+          debug !== null && debug.record(msg, state, e);
+        }
+      }
+
+      if (!isTravelling()) {
+        draw();
+        updateSubscriptions();
+      }
+
+      commands.forEach(command => {
+        try {
+          execute(command, env);
+        } catch (e) {
+          report(e, { phase: "command", state });
+        }
+      });
+    }
+  }
+
+  try {
+    nodes = flatten(view(state));
+    mount(ctx, nodes);
+  } catch (e) {
+    report(e, { phase: "view", state });
+    reset();
+  }
+  runHooks();
+  updateSubscriptions();
+
+  debug = !options.debug ? null : createDebugger(
+    options.debug === true ? {} : options.debug,
+    { update, draw, getState: () => state, setState: s => { state = s; }, live: schedule }
+  );
+
+  schedule();
+
+  const program = {
+    enqueue,
+    dispatchSync: msg => {
+      enqueue(msg);
+      flush();
+    },
+    flush,
+    getState: () => state,
+    pause: () => {
+      paused = true;
+      cancelFrame();
+    },
+    resume: () => {
+      paused = false;
+      schedule();
+    },
+    destroy,
+  };
+
+  return debug === null
+    ? program
+    : Object.assign(program, { debug: debug.api });
+}
+
+// -----------------------------------------------------------------------------
+// Testing
+
+class TestNode {
+  constructor(any) { Object.assign(this, any) }
+}
+
+// TestNode
+//    = { tag : string | undefined       -- undefined for text nodes
+//      , text : string | undefined
+//      , properties : Properties
+//      , listeners : { [event] : Handler }
+//      , maps : [Msg -> Msg | undefined] | undefined
+//      , children : [TestNode]
+//      , parent : TestNode | null
+//      }
+function testNode(vnode, parent) {
+  assert(vnode instanceof VirtualNode, "Expected an instance of VirtualNode, found", vnode);
+  vnode = force(vnode);
+
+  // the node of a portal is shown where the portal is.
+  if (vnode.portal !== undefined) {
+    return testNode(vnode.portal.node, parent);
+  }
+
+  // virtual lists show the rows that fit in their `height`.
+  if (vnode.virtual !== undefined) {
+    return testNode(virtualFrame(vnode.virtual, visibleRange(vnode.virtual, null)), parent);
+  }
+
+  if (vnode.text !== undefined) {
+    return new TestNode({ tag: undefined, text: String(vnode.text), properties: {},
+      listeners: {}, maps: undefined, children: [], parent });
+  }
+
+  const listeners = {};
+  for (const prop in vnode.properties) {
+    const event = eventName(prop);
+    if (event !== null) {
+      listeners[event] = toHandler(event, vnode.properties[prop]);
+    }
+  }
+  const node = new TestNode({ tag: vnode.tag, text: undefined, properties: vnode.properties,
+    listeners, maps: vnode.maps, children: [], parent });
+  node.children = vnode.children.map(child => testNode(child, node));
+  return node;
+}
+
+function textContent(node) {
+  return node.text !== undefined
+    ? node.text
+    : node.children.map(textContent).join("");
+}
+
+function classesOf(node) {
+  const value = node.properties.class;
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return typeof value === "string"
+    ? value.split(/\s+/).filter(name => name !== "")
+    : classTokens(value);
+}
+
+// Query
+//    = { tag : string, class : string, id : string, text : string | RegExp }
+//    | TestNode -> bool
+//
+// All fields of a query object are optional. Text is compared against
+// the trimmed text content of the node and all its descendants.
+function matches(query, node) {
+  if (typeof query === "function") {
+    return query(node);
+  }
+  if (node.tag === undefined) {
+    return false;
+  }
+  const content = textContent(node).trim();
+  return (query.tag === undefined || query.tag.toLowerCase() === node.tag.toLowerCase())
+    && (query.class === undefined || classesOf(node).includes(query.class))
+    && (query.id === undefined || node.properties.id === query.id)
+    && (query.text === undefined || (query.text instanceof RegExp
+      ? query.text.test(content)
+      : query.text === content));
+}
+
+function findAll(nodes, query) {
+  const found = [];
+  const visit = node => {
+    if (matches(query, node)) {
+      found.push(node);
+    }
+    node.children.forEach(visit);
+  };
+  nodes.forEach(visit);
+  return found;
+}
+
+function mapTestMessage(node, msg) {
+  for (let current = node; current !== null; current = current.parent) {
+    if (current.maps !== undefined) {
+      msg = current.maps.reduce((m, fn) => m === undefined ? m : fn(m), msg);
+    }
+  }
+  return msg;
+}
+
+function serialiseNode(node, indent) {
+  if (node.tag === undefined) {
+    return indent + escapeHtml(node.text);
+  }
+  const { tag, properties, children } = node;
+  const attributes = Object.keys(properties)
+    .map(prop => renderAttribute(prop, properties[prop]))
+    .join("");
+  if (voidTags.has(tag.toLowerCase())) {
+    return `${indent}<${tag}${attributes}>`;
+  }
+  if (children.length === 0) {
+    return `${indent}<${tag}${attributes}></${tag}>`;
+  }
+  return [ `${indent}<${tag}${attributes}>` ]
+    .concat(children.map(child => serialiseNode(child, indent + "  ")))
+    .concat([ `${indent}</${tag}>` ])
+    .join("\n");
+}
+
+// Run a program against an in-memory tree instead of the DOM. Does not
+// require a DOM, so views can be tested in plain Node.
+//
+// Messages are processed as soon as they are sent. Commands are recorded
+// instead of performed, and subscriptions are only recorded. Lifecycle
+// hooks and transitions don't run, as there are no DOM elements to give
+// them. Errors are thrown instead of reported. The `subscriptions` and
+// `dev` options are those of `init`.
+//
+// TestProgram
+//    = { find : Query -> TestNode               -- the first match. Throws if there is none
+//      , findAll : Query -> [TestNode]
+//      , simulate : (TestNode, string, object) -> ()  -- fire an event at a node
+//      , dispatch : Msg -> ()
+//      , getState : () -> state
+//      , commands : () -> [Command]             -- every command returned by `update`
+//      , subscriptions : () -> [Subscription]   -- the current subscriptions
+//      , nodes : () -> [TestNode]               -- the rendered top level nodes
+//      , serialise : () -> string               -- indented HTML for snapshots
+//      }
+//
+// `simulate(node, type, init)` creates an event with the fields of `init`.
+// Its target has the properties of `node` with `init.target` on top, so
+// that decoders like ["target", "value"] can be fed with
+//
+//    simulate(input, "input", { target: { value: "Buy milk" } })
+//
+function renderTest(initialState, update, view, options = {}) {
+  if (options.dev) {
+    [ update, view ] = withChecks(initialState, update, view);
+  }
+  let state = initialState;
+  let nodes = [];
+  let queue = [];
+  const commands = [];
+
+  function enqueue(msg) {
+    queue.push(msg);
+  }
+
+  function render() {
+    nodes = flatten(view(state)).map(vnode => testNode(vnode, null));
+  }
+
+  function flush() {
+    while (queue.length > 0) {
+      const msgs = queue;
+      queue = [];
+      msgs.forEach(msg => {
+        const [newState, command] = fromUpdate(update(state, msg, enqueue));
+        state = newState;
+        if (command !== cmd.none) {
+          commands.push(command);
+        }
+      });
+      render();
+    }
+  }
+
+  function find(query) {
+    const found = findAll(nodes, query);
+    assert(found.length > 0, "No node matches", query);
+    return found[0];
+  }
+
+  function simulate(node, type, init = {}) {
+    assert(node instanceof TestNode, "Expected a TestNode, found", node);
+    let stopped = false;
+    const event = Object.assign({}, init, {
+      type,
+      target: Object.assign({}, node.properties, init.target),
+      defaultPrevented: false,
+      preventDefault: () => { event.defaultPrevented = true; },
+      stopPropagation: () => { stopped = true; },
+    });
+
+    // nodes from the target up to the top
+    const path = [];
+    for (let current = node; current !== null; current = current.parent) {
+      path.push(current);
+      if (nonBubbling.has(type)) {
+        break;
+      }
+    }
+
+    const phases = [ path.slice().reverse(), path ];
+    phases.forEach((phase, i) => {
+      const capture = i === 0;
+      for (const current of phase) {
+        const handle = current.listeners[type];
+        if (stopped) {
+          return;
+        }
+        if (handle === undefined || handle.capture !== capture) {
+          continue;
+        }
+        if (handle.preventDefault && !handle.passive) {
+          event.preventDefault();
+        }
+        const currentTarget = Object.assign({}, current.properties);
+        const input = decode(handle.decoder, Object.assign({}, event, { currentTarget }));
+        if (input !== noMatch) {
+          const msg = mapTestMessage(current, handle.handler(input));
+          if (msg !== undefined) {
+            enqueue(msg);
+          }
+        }
+        if (handle.stopPropagation) {
+          stopped = true;
+        }
+      }
+    });
+    flush();
+  }
+
+  render();
+
+  return {
+    find,
+    findAll: query => findAll(nodes, query),
+    simulate,
+    dispatch: msg => {
+      enqueue(msg);
+      flush();
+    },
+    getState: () => state,
+    commands: () => commands.slice(),
+    subscriptions: () => options.subscriptions === undefined ? [] : options.subscriptions(state),
+    nodes: () => nodes,
+    serialise: () => nodes.map(node => serialiseNode(node, "")).join("\n"),
+  };
+}
+
+// -----------------------------------------------------------------------------
+// Worker mode
+//
+// `serve` runs `update` and `view` inside of a Web Worker, and `initWorker`
+// applies the changes the worker sends to the page. Everything sent between
+// them is plain data:
+//
+//   - handlers and the functions of `map` nodes are sent as ids. The ids
+//     of a patch are kept until the page applied the next one, so events
+//     sent before a patch arrives still find their handlers.
+//   - decoders run in the page, so they must be paths or objects of paths.
+//     Handlers without a decoder receive a copy of the plain fields of the event.
+//   - lifecycle hooks, refs, transition callbacks and portals are not
+//     available. Transitions by name are.
+//   - `cmd.focus` and `sub.on` are performed by the page, and `sub.on`
+//     functions receive copies of events too.
+//   - the debugger is not available.
+//   - controlled values reach the page after a round trip and can be
+//     behind what is being typed. Fields that are typed into should have
+//     no `value`, with their initial text as a child for textareas.
+//
+// Messages from the worker
+//    = { patch : { version : int, diffs : [Diff] } }
+//    | { focus : string }
+//    | { listen : { id : int, target : "window" | "document", name : string } }
+//    | { unlisten : int }
+//
+// Messages to the worker
+//    = { applied : int }   -- the version of the last patch applied
+//    | { event : { handler : int, value : any, maps : [int] } }
+//    | { emit : { id : int, event : object } }
+//    | { msg : Msg }
+
+// Ids for values that can't be sent to the page.
+function idTable() {
+  let next = 0;
+  let byValue = new Map();
+  let byId = new Map();
+
+  function id(value) {
+    if (!byValue.has(value)) {
+      byValue.set(value, next);
+      byId.set(next, value);
+      next++;
+    }
+    return byValue.get(value);
+  }
+
+  const versions = new Map(); // values used by each version of the view
+
+  // Record the handlers and map functions in a version of the view.
+  function use(version, vnodes) {
+    const used = new Set();
+    const visit = vnode => {
+      vnode = force(vnode);
+      if (vnode.text !== undefined) {
+        return;
+      }
+      (vnode.maps || []).forEach(fn => used.add(fn));
+      for (const prop in vnode.properties) {
+        if (eventName(prop) !== null) {
+          used.add(vnode.properties[prop]);
+        }
+      }
+      vnode.children.forEach(visit);
+    };
+    vnodes.forEach(visit);
+    versions.set(version, used);
+  }
+
+  // Forget the values only used by versions older than `version`.
+  function release(version) {
+    for (const old of versions.keys()) {
+      if (old < version) {
+        versions.delete(old);
+      }
+    }
+    const used = new Set();
+    versions.forEach(values => values.forEach(value => used.add(value)));
+    for (const [ value, id ] of byValue) {
+      if (!used.has(value)) {
+        byValue.delete(value);
+        byId.delete(id);
+      }
+    }
+  }
+
+  return { id, get: id => byId.get(id), use, release };
+}
+
+function isPathDecoder(decoder) {
+  return Array.isArray(decoder)
+    ? decoder.every(field => typeof field === "string" || typeof field === "number")
+    : typeof decoder === "object" && decoder !== null && Object.values(decoder).every(isPathDecoder);
+}
+
+function serialiseProperties(ids, properties) {
+  const result = {};
+  for (const prop in properties) {
+    const event = eventName(prop);
+    const value = properties[prop];
+    if (event === null) {
+      result[prop] = value;
+      continue;
+    }
+    const handle = toHandler(event, value);
+    assert(handle.decoder === undefined || isPathDecoder(handle.decoder),
+      "Decoders must be paths or objects of paths in worker mode. Found:", handle.decoder);
+    result[prop] = Object.assign({}, handle, { handler: ids.id(value) });
+  }
+  return result;
+}
+
+function serialiseHooks(hooks) {
+  if (hooks === undefined) {
+    return undefined;
+  }
+  const { onCreate, onUpdate, onRemove, ref, transition } = hooks;
+  assert([onCreate, onUpdate, onRemove, ref].every(hook => hook === undefined),
+    "Lifecycle hooks and refs are not available in worker mode. Found:", hooks);
+  if (transition === undefined) {
+    return undefined;
+  }
+  assert(transition.onEnter === undefined && transition.onLeave === undefined,
+    "Transition callbacks are not available in worker mode. Found:", transition);
+  return { transition: { name: transition.name, duration: transition.duration } };
+}
+
+function serialiseMaps(ids, maps) {
+  return maps === undefined ? undefined : maps.map(ids.id);
+}
+
+function serialiseVNode(ids, vnode) {
+  vnode = force(vnode);
+  if (vnode.text !== undefined) {
+    return { text: vnode.text };
+  }
+  assert(vnode.portal === undefined, "Portals are not available in worker mode");
+  assert(vnode.virtual === undefined, "Virtual lists are not available in worker mode");
+  return {
+    tag: vnode.tag,
+    properties: serialiseProperties(ids, vnode.properties),
+    children: vnode.children.map(child => serialiseVNode(ids, child)),
+    key: vnode.key,
+    hooks: serialiseHooks(vnode.hooks),
+    maps: serialiseMaps(ids, vnode.maps),
+  };
+}
+
+function serialiseDiff(ids, diff) {
+  const action = Object.keys(diff)[0];
+  switch (action) {
+    case "replace":
+    case "create":
+      return { [action]: serialiseVNode(ids, diff[action]) };
+
+    case "modify": {
+      const { set, hooks, maps, children } = diff.modify;
+      return { modify: Object.assign({}, diff.modify, {
+        set: serialiseProperties(ids, set),
+        hooks: serialiseHooks(hooks),
+        maps: serialiseMaps(ids, maps),
+        children: children.map(child => serialiseDiff(ids, child)),
+      }) };
+    }
+
+    case "move":
+    case "keep": {
+      const { from, diff: inner } = diff[action];
+      return { [action]: { from, diff: serialiseDiff(ids, inner) } };
+    }
+
+    case "rehook":
+      return { rehook: {
+        hooks: serialiseHooks(diff.rehook.hooks),
+        children: diff.rehook.children.map(child => serialiseDiff(ids, child)),
+      } };
+
+    case "portal":
+      throw new Error("Portals are not available in worker mode");
+
+    case "virtual":
+      throw new Error("Virtual lists are not available in worker mode");
+
+    default:
+      return diff;
+  }
+}
+
+// Run a program inside of a Web Worker. The page shows it with `initWorker`.
+// Options are those of `init`, except for `debug`.
+function serve(initialState, update, view, options = {}) {
+  assert(!options.debug, "The debugger is not available in worker mode");
+  if (options.dev) {
+    [ update, view ] = withChecks(initialState, update, view);
+  }
+  let state = initialState;
+  let nodes = [];
+  let queue = [];
+  let scheduled = false;
+  let nextListener = 0;
+  let version = 0; // of the last patch sent
+  const ids = idTable();
+  const listeners = new Map(); // event subscriptions by id
+  const subscriptions = new Map(); // active subscriptions by id
+  const post = message => self.postMessage(message);
+  const report = (error, info) => reportError(options, error, info);
+
+  function enqueue(msg) {
+    queue.push(msg);
+    if (!scheduled) {
+      scheduled = true;
+      setTimeout(processQueue, 0);
+    }
+  }
+
+  // events of "window" and "document" are listened to by the page.
+  function listen(target, name, send) {
+    const id = nextListener++;
+    listeners.set(id, send);
+    post({ listen: { id, target, name } });
+    return () => {
+      listeners.delete(id);
+      post({ unlisten: id });
+    };
+  }
+
+  const env = {
+    focus: selector => post({ focus: selector }),
+    enqueue,
+    transport: options.transport || fetchTransport,
+    random: options.random || Math.random,
+    report: e => report(e, { phase: "command", state }),
+  };
+
+  const reportSubscription = e => report(e, { phase: "subscriptions", state });
+
+  function updateSubscriptions() {
+    if (options.subscriptions !== undefined) {
+      try {
+        diffSubscriptions(subscriptions, options.subscriptions(state), enqueue, reportSubscription, listen);
+      } catch (e) {
+        report(e, { phase: "subscriptions", state });
+      }
+    }
+  }
+
+  function draw() {
+    let newNodes;
+    try {
+      newNodes = flatten(view(state));
+    } catch (e) {
+      report(e, { phase: "view", state });
+      return;
+    }
+
+    try {
+      const diffs = diffList(nodes, newNodes).map(diff => serialiseDiff(ids, diff));
+      version++;
+      post({ patch: { version, diffs } });
+      nodes = newNodes;
+      ids.use(version, nodes);
+    } catch (e) {
+      report(e, { phase: "apply", state });
+    }
+  }
+
+  function processQueue() {
+    scheduled = false;
+    const msgs = queue;
+    queue = [];
+    const commands = [];
+
+    msgs.forEach(msg => {
+      try {
+        const [newState, command] = fromUpdate(update(state, msg, enqueue));
+        state = newState;
+        commands.push(command);
+      } catch (e) {
+        report(e, { phase: "update", state, msg });
+      }
+    });
+
+    draw();
+    updateSubscriptions();
+
+    commands.forEach(command => {
+      try {
+        execute(command, env);
+      } catch (e) {
+        report(e, { phase: "command", state });
+      }
+    });
+  }
+
+  function receive(data) {
+    const action = Object.keys(data)[0];
+    switch (action) {
+      case "applied":
+        ids.release(data.applied);
+        break;
+
+      case "event": {
+        const { handler, value, maps } = data.event;
+        const handle = ids.get(handler);
+        if (handle === undefined) {
+          return; // the handler was removed before the event was sent
+        }
+        const msg = maps.reduce(
+          (m, id) => (m === undefined || ids.get(id) === undefined) ? undefined : ids.get(id)(m),
+          toHandler("", handle).handler(value)
+        );
+        if (msg !== undefined) {
+          enqueue(msg);
+        }
+        break;
+      }
+
+      case "emit": {
+        const send = listeners.get(data.emit.id);
+        send && send(data.emit.event);
+        break;
+      }
+
+      case "msg":
+        enqueue(data.msg);
+        break;
+    }
+  }
+
+  self.addEventListener("message", ({ data }) => {
+    try {
+      receive(data);
+    } catch (e) {
+      report(e, { phase: "update", state });
+    }
+  });
+
+  draw();
+  updateSubscriptions();
+}
+
+// A copy of the fields of an event that can be sent to a worker.
+function plainEvent(event) {
+  const isPlain = value => value === null || [ "string", "number", "boolean" ].includes(typeof value);
+  const plain = {};
+  for (const field in event) {
+    if (isPlain(event[field])) {
+      plain[field] = event[field];
+    }
+  }
+  [ "target", "currentTarget" ].forEach(field => {
+    const el = event[field];
+    if (el !== null && el !== undefined) {
+      plain[field] = {};
+      for (const name of [ "id", "name", "type", "value", "checked", "selectedIndex", "tagName" ]) {
+        if (isPlain(el[name])) {
+          plain[field][name] = el[name];
+        }
+      }
+    }
+  });
+  return plain;
+}
+
+// Handlers produce the message sent to the worker, and map functions
+// add their id to it.
+function readProperties(properties) {
+  const result = {};
+  for (const prop in properties) {
+    const value = properties[prop];
+    if (eventName(prop) === null) {
+      result[prop] = value;
+      continue;
+    }
+    const id = value.handler;
+    result[prop] = Object.assign({}, value, {
+      handler: input => ({
+        handler: id,
+        value: value.decoder === undefined ? plainEvent(input) : input,
+        maps: [],
+      }),
+    });
+  }
+  return result;
+}
+
+function readMaps(maps) {
+  return maps === undefined
+    ? undefined
+    : maps.map(id => msg => Object.assign({}, msg, { maps: msg.maps.concat([ id ]) }));
+}
+
+function readVNode(data) {
+  if (data.text !== undefined) {
+    return new VirtualNode({ text: data.text });
+  }
+  return new VirtualNode({
+    tag: data.tag,
+    properties: readProperties(data.properties),
+    children: data.children.map(readVNode),
+    key: data.key,
+    hooks: data.hooks,
+    maps: readMaps(data.maps),
+  });
+}
+
+function readDiff(diff) {
+  const action = Object.keys(diff)[0];
+  switch (action) {
+    case "replace":
+    case "create":
+      return { [action]: readVNode(diff[action]) };
+
+    case "modify":
+      return { modify: Object.assign({}, diff.modify, {
+        set: readProperties(diff.modify.set),
+        maps: readMaps(diff.modify.maps),
+        children: diff.modify.children.map(readDiff),
+      }) };
+
+    case "rehook":
+      return { rehook: Object.assign({}, diff.rehook, { children: diff.rehook.children.map(readDiff) }) };
+
+    case "move":
+    case "keep":
+      return { [action]: { from: diff[action].from, diff: readDiff(diff[action].diff) } };
+
+    default:
+      return diff;
+  }
+}
+
+// Show in `root` a program run by `serve` in `worker`.
+//
+// WorkerProgram
+//    = { enqueue : Msg -> ()   -- send a message to the program
+//      , destroy : () -> ()    -- stop the worker and remove all it added to the page
+//      }
+function initWorker(root, worker) {
+  const send = message => worker.postMessage(message);
+  const ctx = { enqueue: event => send({ event }), events: delegator(root), fields: new Set(), pending: [] };
+  const listeners = new Map(); // stop functions of event subscriptions by id
+
+  function receive({ data }) {
+    const action = Object.keys(data)[0];
+    switch (action) {
+      case "patch":
+        apply(root, ctx, data.patch.diffs.map(readDiff));
+        runPending(ctx);
+        send({ applied: data.patch.version });
+        break;
+
+      case "focus":
+        focusElement(root, data.focus);
+        break;
+
+      case "listen": {
+        const { id, target, name } = data.listen;
+        listeners.set(id, listenTo(target, name, event => send({ emit: { id, event: plainEvent(event) } })));
+        break;
+      }
+
+      case "unlisten": {
+        const stop = listeners.get(data.unlisten);
+        stop && stop();
+        listeners.delete(data.unlisten);
+        break;
+      }
+
+      default:
+        throw new Error("Unexpected message from worker: " + Object.keys(data));
+    }
+  }
+
+  worker.addEventListener("message", receive);
+
+  function destroy() {
+    worker.removeEventListener("message", receive);
+    worker.terminate();
+    for (const stop of listeners.values()) {
+      stop();
+    }
+    listeners.clear();
+    ctx.events.destroy();
+    Array.from(root.childNodes).forEach(node => {
+      removed(node);
+      node.remove();
+    });
+  }
+
+  return { enqueue: msg => send({ msg }), destroy };
+}
+
+// Custom elements
+//
+// `defineElement` registers a custom element that runs a program in each
+// of its instances. The program starts when the element is added to the
+// page and is destroyed when it is removed. Elements moved within the page
+// keep their program.
+//
+// ElementOptions
+//    = { init : HTMLElement -> state                    -- initial state of an element
+//      , update : (state, Msg, Msg -> ()) -> state | [state, Command]
+//      , view : state -> [VirtualNode]
+//      , attributes : { name : (string | null) -> Msg } -- messages for attribute changes
+//      , shadow : boolean                               -- render into a shadow root. Defaults to true
+//      , styles : string                                -- css for the shadow root
+//      , options : Options | (HTMLElement -> Options)   -- options given to `init`
+//      , worker : () -> Worker | null                   -- run the program in a worker started
+//                                                       -- with `serve`. Null to run it here
+//      }
+//
+// The attributes an element starts with are sent as messages as soon as its
+// program starts. Attribute messages that are undefined are dropped.
+// The running program is available as the `program` field of the element.
+function defineElement(name, elementOptions) {
+  const {
+    init: initialState,
+    update,
+    view,
+    attributes = {},
+    shadow = true,
+    styles,
+    options = {},
+    worker = () => null,
+  } = elementOptions;
+
+  class SMVCElement extends HTMLElement {
+    static get observedAttributes() {
+      return Object.keys(attributes);
+    }
+
+    constructor() {
+      super();
+      this.program = null;
+      this._root = null;
+    }
+
+    connectedCallback() {
+      if (this.program !== null) {
+        return;
+      }
+      if (this._root === null) {
+        this._root = elementRoot(this, shadow, styles);
+      }
+      const running = worker();
+      this.program = running !== null
+        ? initWorker(this._root, running)
+        : init(
+            this._root,
+            initialState(this),
+            update,
+            view,
+            typeof options === "function" ? options(this) : options
+          );
+      for (const attribute of Object.keys(attributes)) {
+        if (this.hasAttribute(attribute)) {
+          this._send(attribute, this.getAttribute(attribute));
+        }
+      }
+      this.program.flush && this.program.flush();
+    }
+
+    disconnectedCallback() {
+      // moving an element disconnects and connects it again right away.
+      queueMicrotask(() => {
+        if (!this.isConnected && this.program !== null) {
+          this.program.destroy();
+          this.program = null;
+        }
+      });
+    }
+
+    attributeChangedCallback(attribute, oldValue, value) {
+      if (this.program !== null && oldValue !== value) {
+        this._send(attribute, value);
+      }
+    }
+
+    _send(attribute, value) {
+      const msg = attributes[attribute](value);
+      if (msg !== undefined) {
+        this.program.enqueue(msg);
+      }
+    }
+  }
+
+  customElements.define(name, SMVCElement);
+  return SMVCElement;
+}
+
+// Where an element renders its program.
+function elementRoot(host, shadow, styles) {
+  if (!shadow) {
+    return host;
+  }
+  const shadowRoot = host.attachShadow({ mode: "open" });
+  if (styles === undefined) {
+    return shadowRoot;
+  }
+  // the program owns all children of its root, so the styles stay outside of it.
+  const style = document.createElement("style");
+  style.textContent = styles;
+  const container = document.createElement("div");
+  shadowRoot.append(style, container);
+  return container;
 }
 
-return { init, h, text };
+return { init, hydrate, serve, initWorker, defineElement, renderToString, renderTest, h, text, lazy, boundary, map, nest, fragment, portal, virtualList, cmd, sub };
 })();
 
 if (typeof define !== 'undefined' && define.amd) { // AMD
@@ -0,0 +1,184 @@
+// Route
+//    = { [name : string] : { [param : string] : string | int | number } }
+//
+// Patterns are paths where segments starting with a colon are parameters.
+// Parameters are strings unless they are followed by a type:
+//
+//    "/todo/:id<int>/:tab"   matches "/todo/3/edit" as { Todo : { id: 3, tab: "edit" } }
+//
+// Unmatched paths produce the route { NotFound : { path : string } }.
+//
+const SMVCRouter = (function (SMVC) {
+
+const { sub } = SMVC;
+
+function assert(predicate, ...args) {
+  if (!predicate) {
+    console.error(...args);
+    throw new Error("fatal");
+  }
+}
+
+const types = {
+  string: str => str,
+  int: str => /^-?\d+$/.test(str) ? parseInt(str, 10) : undefined,
+  number: str => (str.trim() !== "" && !isNaN(Number(str))) ? Number(str) : undefined,
+};
+
+function segments(path) {
+  return path.split("/").filter(segment => segment !== "");
+}
+
+// Pattern
+//    = [ { literal : string } | { param : string, type : string } ]
+function parsePattern(pattern) {
+  assert(typeof pattern === "string", "Expected a route pattern. Found:", pattern);
+  return segments(pattern).map(segment => {
+    const match = /^:(\w+)(?:<(\w+)>)?$/.exec(segment);
+    if (match === null) {
+      return { literal: segment };
+    }
+    const [, param, type = "string"] = match;
+    assert(types[type] !== undefined, "Unknown parameter type:", type, "in pattern", pattern);
+    return { param, type };
+  });
+}
+
+function matchPattern(pattern, path) {
+  const parts = segments(path);
+  if (parts.length !== pattern.length) {
+    return null;
+  }
+  const params = {};
+  for (let i = 0; i < pattern.length; i++) {
+    const segment = pattern[i];
+    const part = decodeURIComponent(parts[i]);
+    if (segment.literal !== undefined) {
+      if (segment.literal !== part) return null;
+      continue;
+    }
+    const value = types[segment.type](part);
+    if (value === undefined) return null;
+    params[segment.param] = value;
+  }
+  return params;
+}
+
+// Create a router.
+//
+// Options
+//    = { routes : { [name : string] : string }  -- route names and their patterns
+//      , mode : "hash" | "history"              -- defaults to "hash"
+//      , base : string                          -- path prefix in "history" mode
+//      }
+function create({ routes, mode = "hash", base = "" }) {
+  assert(mode === "hash" || mode === "history", "Unknown router mode:", mode);
+  const patterns = Object.keys(routes).map(name => ({ name, pattern: parsePattern(routes[name]) }));
+  const prefix = base.replace(/\/$/, "");
+
+  // The path a URL refers to, relative to the application.
+  function pathOf(url) {
+    const { pathname, hash } = new URL(url, window.location.href);
+    if (mode === "hash") {
+      return hash.replace(/^#/, "").split("?")[0] || "/";
+    }
+    return pathname.indexOf(prefix) === 0
+      ? pathname.slice(prefix.length) || "/"
+      : null;
+  }
+
+  // Parse a URL into a route.
+  function parse(url) {
+    const path = pathOf(url);
+    if (path === null) {
+      return { NotFound: { path: new URL(url, window.location.href).pathname } };
+    }
+    for (const { name, pattern } of patterns) {
+      const params = matchPattern(pattern, path);
+      if (params !== null) {
+        return { [name]: params };
+      }
+    }
+    return { NotFound: { path } };
+  }
+
+  // The URL to use in links to a route.
+  function href(route) {
+    const name = Object.keys(route)[0];
+    const entry = patterns.find(p => p.name === name);
+    assert(entry !== undefined, "Unknown route:", route);
+    const params = route[name] || {};
+    const path = "/" + entry.pattern.map(segment => {
+      if (segment.literal !== undefined) {
+        return segment.literal;
+      }
+      assert(params[segment.param] !== undefined, "Missing parameter", segment.param, "for route", route);
+      return encodeURIComponent(params[segment.param]);
+    }).join("/");
+    return mode === "hash" ? "#" + path : prefix + path;
+  }
+
+  // The route for the current location.
+  function current() {
+    return parse(window.location.href);
+  }
+
+  // Go to a route. Subscribers receive a `UrlChanged` message.
+  function navigate(route, { replace = false } = {}) {
+    const url = href(route);
+    if (mode === "hash") {
+      replace ? window.location.replace(url) : (window.location.hash = url);
+      return;
+    }
+    window.history[replace ? "replaceState" : "pushState"](null, "", url);
+    window.dispatchEvent(new PopStateEvent("popstate"));
+  }
+
+  // Subscriptions producing `{ UrlChanged : Route }` on navigation.
+  // In "history" mode, clicks on same-origin links inside of `root` are
+  // intercepted and turned into navigations without a page load.
+  function subscriptions(root) {
+    const urlChanged = () => ({ UrlChanged: current() });
+    if (mode === "hash") {
+      return [ sub.on("window", "hashchange", urlChanged) ];
+    }
+    return [
+      sub.on("window", "popstate", urlChanged),
+      sub.on("document", "click", event => interceptLink(root, event)),
+    ];
+  }
+
+  function interceptLink(root, event) {
+    const isPlainClick = event.button === 0
+      && !event.defaultPrevented
+      && !(event.metaKey || event.ctrlKey || event.shiftKey || event.altKey);
+    const link = event.target.closest && event.target.closest("a[href]");
+    if (!isPlainClick || link === null || !root.contains(link)) {
+      return;
+    }
+    const url = new URL(link.href, window.location.href);
+    const isInternal = url.origin === window.location.origin
+      && (link.target === "" || link.target === "_self")
+      && !link.hasAttribute("download")
+      && pathOf(url.href) !== null;
+    if (!isInternal) {
+      return;
+    }
+    event.preventDefault();
+    window.history.pushState(null, "", url.href);
+    return { UrlChanged: parse(url.href) };
+  }
+
+  return { parse, href, current, navigate, subscriptions };
+}
+
+return { create };
+})(typeof SMVC !== 'undefined' ? SMVC : require("./smvc.js"));
+
+if (typeof define !== 'undefined' && define.amd) { // AMD
+  define([], function () { return SMVCRouter })
+} else if (typeof module !== 'undefined' && module.exports) { // CommonJS
+  module.exports = SMVCRouter
+} else if (typeof window !== 'undefined') { // Script tag
+  window.SMVCRouter = SMVCRouter
+}
@@ -1,5 +1,23 @@
-{
-const { init, h, text } = SMVC;
+// TodoMVC. Pages show it with a <todo-mvc> tag, and its `update` and
+// `view` can be loaded in Node to be tested with `renderTest`.
+const TodoMVC = (function (SMVC, SMVCRouter) {
+"use strict";
+
+const { h, text, cmd } = SMVC;
+
+const router = SMVCRouter.create({
+  mode: "hash",
+  routes: {
+    All: "/",
+    Active: "/active",
+    Completed: "/completed",
+  },
+});
+
+const visibilityOf = route =>
+  ("Active" in route || "Completed" in route)
+    ? Object.keys(route)[0]
+    : "All";
 
 const emit = v => _ => v;
 
@@ -24,30 +42,19 @@ function update (s, msg) {
     }
     case "EditingEntry" in msg: {
       const { EditingEntry: { id, isEditing } } = msg;
-      requestAnimationFrame(() => {
-        const input = document.querySelector("#todo-" + id);
-        const end = input.value.length;
-        input.setSelectionRange(end, end);
-        input.focus();
-      });
-      return Object.assign({}, s, {
-        entries: s.entries.map(entry => {
-            if (entry.id == id) {
-              entry.editing = isEditing;
-            }
-            return entry;
-          })
+      const newState = Object.assign({}, s, {
+        entries: s.entries.map(entry =>
+          entry.id == id ? Object.assign({}, entry, { editing: isEditing }) : entry
+        )
       });
+      return [newState, isEditing ? cmd.focus("#todo-" + id) : cmd.none];
     }
     case "UpdateEntry" in msg: {
       const { UpdateEntry: { id, value } } = msg;
       return Object.assign({}, s, {
-        entries: s.entries.map(entry => {
-            if (entry.id == id) {
-              entry.description = value;
-            }
-            return entry;
-          })
+        entries: s.entries.map(entry =>
+          entry.id == id ? Object.assign({}, entry, { description: value }) : entry
+        )
       });
     }
     case "Delete" in msg: {
@@ -64,26 +71,20 @@ function update (s, msg) {
     case "Check" in msg: {
       const { Check : { id, isCompleted } } = msg;
       return Object.assign({}, s, {
-        entries: s.entries.map(entry => {
-          if (entry.id === id) {
-            entry.completed = isCompleted;
-          }
-          return entry
-        })
+        entries: s.entries.map(entry =>
+          entry.id === id ? Object.assign({}, entry, { completed: isCompleted }) : entry
+        )
       });
     }
     case "CheckAll" in msg: {
       const { CheckAll : completed } = msg;
       return Object.assign({}, s, {
-        entries: s.entries.map(entry => {
-          entry.completed = completed;
-          return entry
-        })
+        entries: s.entries.map(entry => Object.assign({}, entry, { completed }))
       });
     }
-    case "ChangeVisibility" in msg: {
-      const { ChangeVisibility : visibility } = msg;
-      return Object.assign({}, s, { visibility });
+    case "UrlChanged" in msg: {
+      const { UrlChanged : route } = msg;
+      return Object.assign({}, s, { visibility: visibilityOf(route) });
     }
   }
   return s;
@@ -119,16 +120,18 @@ function viewInput(value) {
         placeholder: "what needs to be done?",
         value: value,
         name: "newTodo",
-        onInput: e => ({ UpdateField : e.target.value }),
+        onInput: { decoder: targetValue, handler: value => ({ UpdateField : value }) },
         onKeydown : onEnter({ Add : true })
       }, [])
   ]);
 }
 
-const onEnter = msg => event =>
-  (event.keyCode == 13)
-    ? msg
-    : noop
+const targetValue = ["target", "value"];
+
+const onEnter = msg => ({
+  decoder: ["keyCode"],
+  handler: keyCode => (keyCode == 13) ? msg : noop
+});
 
 function viewEntries(visibility, entries) {
   const isVisible = todo =>
@@ -139,7 +142,7 @@ function viewEntries(visibility, entries) {
         : true;
   const allCompleted = entries.every(e => e.completed);
   const cssVisibility = entries.length === 0 ? "hidden" : "visible";
-  return h("section", { class : "main", style: `visibility: ${cssVisibility}` }, [
+  return h("section", { class : "main", style: { visibility: cssVisibility } }, [
     h("input", {
       class: "toggle-all",
       id: "toggle-all",
@@ -156,10 +159,12 @@ function viewEntries(visibility, entries) {
   ]);
 }
 
-const classes = obj => Object.keys(obj).filter(key => obj[key]).join(" ");
-
 const viewEntry = (todo) =>
-  h("li", { class: classes({ completed: todo.completed, editing: todo.editing }) }, [
+  h("li", {
+    key: todo.id,
+    class: { completed: todo.completed, editing: todo.editing },
+    transition: { name: "todo" },
+  }, [
     h("div", { class: "view" }, [
       h("input", {
         class: "toggle",
@@ -176,7 +181,7 @@ const viewEntry = (todo) =>
       class: "edit",
       value: todo.description,
       id: "todo-" + todo.id.toString(),
-      onInput: e => ({ UpdateEntry: { id: todo.id, value: e.target.value } }),
+      onInput: { decoder: targetValue, handler: value => ({ UpdateEntry: { id: todo.id, value } }) },
       onBlur: emit({ EditingEntry: { id: todo.id, isEditing: false } }),
       onKeydown: onEnter({ EditingEntry: { id: todo.id, isEditing: false } })
       }, [])
@@ -203,17 +208,17 @@ const viewControlsCount = (entriesLeft) =>
 
 const viewControlsFilters = (visibility) =>
   h("ul", { class: "filters" }, [
-    visibilitySwap("#/", "All", visibility),
+    visibilitySwap({ All: {} }, "All", visibility),
     text(" "),
-    visibilitySwap("#/active", "Active", visibility),
+    visibilitySwap({ Active: {} }, "Active", visibility),
     text(" "),
-    visibilitySwap("#/completed", "Completed", visibility),
+    visibilitySwap({ Completed: {} }, "Completed", visibility),
   ]);
 
 
-const visibilitySwap = (url, visibility, actualVisibility) =>
-  h("li", { onClick : emit({ ChangeVisibility : visibility }) }, [
-    h("a", { href: url, class: classes({ selected: visibility === actualVisibility }) }, [
+const visibilitySwap = (route, visibility, actualVisibility) =>
+  h("li", {}, [
+    h("a", { href: router.href(route), class: { selected: visibility === actualVisibility } }, [
       text(visibility)
     ])
   ])
@@ -241,12 +246,38 @@ const infoFooter =
     ]),
   ]);
 
-const root = document.querySelector("#todomvc");
-const initialState = {
+// Route -> State
+const initialState = route => ({
   entries: [],
-  visibility: "All",
+  visibility: visibilityOf(route),
   field: "",
   uid: 0,
-};
-init(root, initialState, update, view);
+});
+
+return { update, view, initialState, router };
+})(
+  typeof SMVC !== 'undefined' ? SMVC : require("./smvc.js"),
+  typeof SMVCRouter !== 'undefined' ? SMVCRouter : require("./router.js")
+);
+
+if (typeof define !== 'undefined' && define.amd) { // AMD
+  define([], function () { return TodoMVC })
+} else if (typeof module !== 'undefined' && module.exports) { // CommonJS
+  module.exports = TodoMVC
+} else if (typeof window !== 'undefined') { // Script tag
+  window.TodoMVC = TodoMVC
+
+  // <todo-mvc></todo-mvc>
+  SMVC.defineElement("todo-mvc", {
+    init: () => TodoMVC.initialState(TodoMVC.router.current()),
+    update: TodoMVC.update,
+    view: TodoMVC.view,
+    // styled by todoMVC.css
+    shadow: false,
+    options: root => ({
+      subscriptions: () => TodoMVC.router.subscriptions(root),
+      // check views and state changes when served locally
+      dev: window.location.hostname === "localhost",
+    }),
+  });
 }
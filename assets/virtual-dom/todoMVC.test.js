@@ -0,0 +1,159 @@
+// Tests for the TodoMVC demo. Run with `node todoMVC.test.js`.
+const assert = require("assert");
+const { renderTest, cmd } = require("./smvc.js");
+const TodoMVC = require("./todoMVC.js");
+
+const start = () => renderTest(TodoMVC.initialState({ All: {} }), TodoMVC.update, TodoMVC.view);
+
+const enter = { keyCode: 13 };
+
+function add(app, description) {
+  app.simulate(app.find({ class: "new-todo" }), "input", { target: { value: description } });
+  app.simulate(app.find({ class: "new-todo" }), "keydown", enter);
+}
+
+// the descriptions of the entries shown
+const descriptions = app =>
+  app.findAll({ tag: "label" })
+    .filter(label => label.parent.properties.class === "view")
+    .map(label => label.children[0].text);
+
+const isInside = (node, ancestor) =>
+  node === ancestor || (node.parent !== null && isInside(node.parent, ancestor));
+
+const entryNamed = (app, description) =>
+  app.find(node => node.tag === "li" && node.properties.class !== undefined
+    && app.findAll({ tag: "label", text: description }).some(label => isInside(label, node)));
+
+const inEntry = (app, description, query) => {
+  const entry = entryNamed(app, description);
+  return app.findAll(query).find(node => isInside(node, entry));
+};
+
+const itemsLeft = app => app.find({ class: "todo-count" }).children[0].children[0].text;
+
+const tests = {
+  "starts empty"() {
+    const app = start();
+    assert.deepStrictEqual(descriptions(app), []);
+    assert.strictEqual(app.find({ class: "main" }).properties.style.visibility, "hidden");
+  },
+
+  "adds entries and clears the field"() {
+    const app = start();
+    add(app, "Buy milk");
+    add(app, "Walk the dog");
+    assert.deepStrictEqual(descriptions(app), [ "Buy milk", "Walk the dog" ]);
+    assert.strictEqual(app.find({ class: "new-todo" }).properties.value, "");
+    assert.strictEqual(itemsLeft(app), "2");
+  },
+
+  "ignores blank entries"() {
+    const app = start();
+    add(app, "   ");
+    assert.deepStrictEqual(descriptions(app), []);
+  },
+
+  "edits an entry"() {
+    const app = start();
+    add(app, "Buy milk");
+    app.simulate(app.find({ tag: "label", text: "Buy milk" }), "dblclick");
+    assert.ok(entryNamed(app, "Buy milk").properties.class.editing);
+    assert.deepStrictEqual(app.commands(), [ cmd.focus("#todo-0") ]);
+
+    app.simulate(app.find({ id: "todo-0" }), "input", { target: { value: "Buy oat milk" } });
+    app.simulate(app.find({ id: "todo-0" }), "keydown", enter);
+    assert.deepStrictEqual(descriptions(app), [ "Buy oat milk" ]);
+    assert.ok(!entryNamed(app, "Buy oat milk").properties.class.editing);
+  },
+
+  "checks entries"() {
+    const app = start();
+    add(app, "Buy milk");
+    add(app, "Walk the dog");
+    app.simulate(inEntry(app, "Buy milk", { class: "toggle" }), "click");
+    assert.ok(entryNamed(app, "Buy milk").properties.class.completed);
+    assert.strictEqual(itemsLeft(app), "1");
+
+    app.simulate(app.find({ class: "toggle-all" }), "click");
+    assert.strictEqual(itemsLeft(app), "0");
+    app.simulate(app.find({ class: "toggle-all" }), "click");
+    assert.strictEqual(itemsLeft(app), "2");
+  },
+
+  "deletes entries"() {
+    const app = start();
+    add(app, "Buy milk");
+    add(app, "Walk the dog");
+    app.simulate(inEntry(app, "Buy milk", { class: "destroy" }), "click");
+    assert.deepStrictEqual(descriptions(app), [ "Walk the dog" ]);
+
+    app.simulate(inEntry(app, "Walk the dog", { class: "toggle" }), "click");
+    app.simulate(app.find({ class: "clear-completed" }), "click");
+    assert.deepStrictEqual(descriptions(app), []);
+  },
+
+  "filters entries"() {
+    const app = start();
+    add(app, "Buy milk");
+    add(app, "Walk the dog");
+    app.simulate(inEntry(app, "Buy milk", { class: "toggle" }), "click");
+
+    app.dispatch({ UrlChanged: { Active: {} } });
+    assert.deepStrictEqual(descriptions(app), [ "Walk the dog" ]);
+    assert.ok(app.find({ tag: "a", text: "Active" }).properties.class.selected);
+
+    app.dispatch({ UrlChanged: { Completed: {} } });
+    assert.deepStrictEqual(descriptions(app), [ "Buy milk" ]);
+
+    app.dispatch({ UrlChanged: { All: {} } });
+    assert.deepStrictEqual(descriptions(app), [ "Buy milk", "Walk the dog" ]);
+  },
+
+  "renders a list"() {
+    const app = start();
+    add(app, "Buy milk");
+    add(app, "Walk the dog");
+    app.simulate(inEntry(app, "Walk the dog", { class: "toggle" }), "click");
+    const list = app.serialise().split("\n");
+    const from = list.findIndex(line => line.includes('<ul class="todo-list">'));
+    const to = list.indexOf("      </ul>", from);
+    assert.strictEqual(list.slice(from, to + 1).join("\n"), [
+      '      <ul class="todo-list">',
+      '        <li class="">',
+      '          <div class="view">',
+      '            <input class="toggle" type="checkbox">',
+      '            <label>',
+      '              Buy milk',
+      '            </label>',
+      '            <button class="destroy"></button>',
+      '          </div>',
+      '          <input class="edit" value="Buy milk" id="todo-0">',
+      '        </li>',
+      '        <li class="completed">',
+      '          <div class="view">',
+      '            <input class="toggle" type="checkbox" checked>',
+      '            <label>',
+      '              Walk the dog',
+      '            </label>',
+      '            <button class="destroy"></button>',
+      '          </div>',
+      '          <input class="edit" value="Walk the dog" id="todo-1">',
+      '        </li>',
+      '      </ul>',
+    ].join("\n"));
+  },
+};
+
+let failed = 0;
+for (const name in tests) {
+  try {
+    tests[name]();
+    console.log("ok", name);
+  } catch (e) {
+    failed++;
+    console.log("not ok", name);
+    console.log(e);
+  }
+}
+process.exitCode = failed === 0 ? 0 : 1;